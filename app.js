@@ -12,76 +12,70 @@
 ───────────────────────────────────────────── */
 
 const DB_NAME    = 'GameMomentsDB';
-const DB_VERSION = 1;
-const STORE_GAMES  = 'games';
-const STORE_EVENTS = 'events';
-
-/** Event type definitions — drives the button grid.
- *  Order here controls row order on the logging screen (top → bottom).
- *  Buttons are identified by data-code, not DOM position, so reordering
- *  this array is safe and does not affect event logging correctness. */
-const EVENT_TYPES = [
-  { code: 'GOAL', label: 'GOAL',      isGoal: true  },
-  { code: 'KO',   label: 'KICKOFF',   isGoal: false },
-  { code: 'SO',   label: 'SIDEOUT',   isGoal: false },
-  { code: 'GK',   label: 'GOAL KICK', isGoal: false },
-  { code: 'CK',   label: 'CORNER',    isGoal: false },
-  { code: 'FK',   label: 'FREE KICK', isGoal: false },
+const DB_VERSION = 6;   // The last MIGRATIONS step
+const STORE_GAMES   = 'games';
+const STORE_EVENTS  = 'events';
+const STORE_META    = 'meta';     // Key/value app state (e.g. the live session)
+const STORE_TEAMS   = 'teams';    // Team profiles (name, short code, colour)
+const STORE_JOURNAL = 'journal';  // Per-game action history (see journal())
+
+/** Key of the meta record holding the in-progress session, if any */
+const META_SESSION = 'session';
+
+/** Built-in event types — the starting point for the user-editable list
+ *  (see eventTypes / the settings screen). Order controls row order on the
+ *  logging screen (top → bottom). Buttons are identified by data-code, not
+ *  DOM position, so reordering is safe for event logging correctness.
+ *  name → labels (upper-cased on the grid), slug → CSV codes. code and slug
+ *  never change once a type exists, so renames don't break stored events
+ *  or downstream spreadsheets. pickPlayer → offer the roster picker after
+ *  logging one of ours. setPiece → a restart won, counted by the stats. */
+const DEFAULT_EVENT_TYPES = [
+  { code: 'GOAL', name: 'Goal',      slug: 'goal',      isGoal: true,  hidden: false, pickPlayer: true,  setPiece: false },
+  { code: 'KO',   name: 'Kickoff',   slug: 'kickoff',   isGoal: false, hidden: false, pickPlayer: false, setPiece: false },
+  { code: 'SO',   name: 'Sideout',   slug: 'sideout',   isGoal: false, hidden: false, pickPlayer: false, setPiece: true  },
+  { code: 'GK',   name: 'Goal Kick', slug: 'goal_kick', isGoal: false, hidden: false, pickPlayer: false, setPiece: true  },
+  { code: 'CK',   name: 'Corner',    slug: 'corner',    isGoal: false, hidden: false, pickPlayer: false, setPiece: true  },
+  { code: 'FK',   name: 'Free Kick', slug: 'free_kick', isGoal: false, hidden: false, pickPlayer: false, setPiece: true  },
 ];
 
-/** Human-readable labels for each event code (used in UI / text export) */
-const EVENT_DISPLAY = {
-  GK_PFC:   'Goal Kick — PFC',
-  GK_OPP:   'Goal Kick — Opponent',
-  CK_PFC:   'Corner — PFC',
-  CK_OPP:   'Corner — Opponent',
-  FK_PFC:   'Free Kick — PFC',
-  FK_OPP:   'Free Kick — Opponent',
-  KO_PFC:   'Kickoff — PFC',
-  KO_OPP:   'Kickoff — Opponent',
-  SO_PFC:   'Sideout — PFC',
-  SO_OPP:   'Sideout — Opponent',
-  GOAL_PFC: 'Goal — PFC',
-  GOAL_OPP: 'Goal — Opponent',
+/** Key of the meta record holding the edited event type list */
+const META_EVENT_TYPES = 'event_types';
+
+/** Team profile used when none has been created yet, and for games logged
+ *  before team profiles existed (they carry no `team` snapshot). */
+const DEFAULT_TEAM = {
+  team_id: 'team_pfc',
+  name:    'PFC',
+  short:   'PFC',
+  color:   '#00e5ff',
+  players: [],
 };
 
-/** Maps internal event codes → export-friendly lowercase snake_case codes.
- *  Internal codes (e.g. GK_PFC) are kept in storage; these appear only in CSV. */
-const EXPORT_CODE_MAP = {
-  GK_PFC:   'goal_kick_pfc',
-  GK_OPP:   'goal_kick_opp',
-  CK_PFC:   'corner_pfc',
-  CK_OPP:   'corner_opp',
-  FK_PFC:   'free_kick_pfc',
-  FK_OPP:   'free_kick_opp',
-  KO_PFC:   'kickoff_pfc',
-  KO_OPP:   'kickoff_opp',
-  SO_PFC:   'sideout_pfc',
-  SO_OPP:   'sideout_opp',
-  GOAL_PFC: 'goal_pfc',
-  GOAL_OPP: 'goal_opp',
+/** Key of the meta record remembering the last team picked on setup */
+const META_LAST_TEAM = 'last_team_id';
+
+/** Match format used until one is chosen, and for games logged before
+ *  formats existed: two 35-minute halves, no extra time, clock counting up. */
+const DEFAULT_MATCH_FORMAT = {
+  periods:        2,
+  period_minutes: 35,
+  extra_periods:  0,
+  extra_minutes:  10,
+  countdown:      false,
 };
 
-/** Human-readable labels for CSV export. Hyphen-minus (not em dash) to stay
- *  plain-text friendly in spreadsheets and FFmpeg chapter markers. */
-const EXPORT_LABEL_MAP = {
-  goal_kick_pfc: 'Goal Kick - PFC',
-  goal_kick_opp: 'Goal Kick - Opponent',
-  corner_pfc:    'Corner - PFC',
-  corner_opp:    'Corner - Opponent',
-  free_kick_pfc: 'Free Kick - PFC',
-  free_kick_opp: 'Free Kick - Opponent',
-  kickoff_pfc:   'Kickoff - PFC',
-  kickoff_opp:   'Kickoff - Opponent',
-  sideout_pfc:   'Sideout - PFC',
-  sideout_opp:   'Sideout - Opponent',
-  goal_pfc:      'Goal - PFC',
-  goal_opp:      'Goal - Opponent',
-};
+/** Key of the meta record remembering the match format picked on setup */
+const META_MATCH_FORMAT = 'match_format';
+
+/* Stored event codes are `${type}_${side}`, e.g. GK_PFC / GK_OPP. The
+   side literal PFC means "our team" — it predates team profiles and is
+   kept so existing games need no migration. Anything shown to a human
+   (labels, buttons, export codes) goes through the game's team profile. */
 
 /** Event code → CSS class for coloring */
 const EVENT_CLASS = (code) => {
-  if (code.startsWith('GOAL')) return 'ev-goal';
+  if (eventFamily(code) === 'GOAL') return 'ev-goal';
   if (code.endsWith('_PFC'))  return 'ev-pfc';
   return 'ev-opp';
 };
@@ -94,11 +88,26 @@ const EVENT_CLASS = (code) => {
 let db           = null;   // IndexedDB connection
 let currentGame  = null;   // Active game object
 let currentEvents = [];    // Events for current game (in memory)
-let currentHalf  = 1;      // 1 or 2
-let clockSeconds = 0;      // Elapsed seconds in current half
-let clockInterval = null;  // setInterval handle
+let shootoutKicks = [];    // Its penalty shootout kicks, kept apart from the match events
+let currentHalf  = 1;      // Period number: 1…periods, then extra-time periods
+let clockSeconds = 0;      // Elapsed seconds in current half (cached for display)
+let clockInterval = null;  // setInterval handle — repaint only, never counts
 let wakeLock     = null;   // WakeLock sentinel
 let gameActive   = false;  // True while a session is live
+let teamProfiles = [];     // All team profiles (cached from STORE_TEAMS)
+let matchFormat  = { ...DEFAULT_MATCH_FORMAT };  // Format picked on setup
+let eventTypes   = [];     // Event types in grid order, hidden ones included
+let syncAnchors  = [];     // Review: [{ event_id, video }] picked for video sync
+let syncPicking  = false;  // Review: tapping list items toggles anchors
+let syncPreview  = null;   // Review: { event_id → synced video seconds } or null
+let statsVisible = false;  // Review: stats dashboard shown instead of the list
+let highlightsOnly = false;  // Review: list and exports limited to starred events
+let timelineZoom = { start: 0, end: 1 };  // Review: visible slice of each period, 0–1
+let seasonGames  = [];     // Season: gameSummary() of every saved game, oldest first
+let savedGames   = [];     // Games list: the games of the pages loaded so far, newest first
+let savedGamesQuery = null;    // Games list: filters and cursor position of the pages shown
+let savedGamesWatcher = null;  // Games list: IntersectionObserver on the MORE row
+let redoStack    = [];     // Logging: events taken back by UNDO, newest last
 
 
 /* ─────────────────────────────────────────────
@@ -106,12 +115,23 @@ let gameActive   = false;  // True while a session is live
 ───────────────────────────────────────────── */
 
 document.addEventListener('DOMContentLoaded', async () => {
-  db = await openDB();
+  try {
+    db = await openDB();
+  } catch (err) {
+    console.error('Database upgrade failed', err);
+    await showUpgradeRecovery(err);
+    return;
+  }
+  await loadTeamProfiles();
+  await loadMatchFormat();
+  await loadEventTypes();
+  document.getElementById('setup-details').innerHTML = gameDetailInputs('input');
   buildEventGrid();
   attachListeners();
   generateAppleTouchIcon();
   registerServiceWorker();
   showScreen('setup');
+  await offerSessionResume();
 });
 
 
@@ -130,29 +150,217 @@ function registerServiceWorker() {
 
 /* ─────────────────────────────────────────────
    INDEXEDDB
+   The schema is built by MIGRATIONS: one step per DB_VERSION, run in
+   order from the version on disk up to DB_VERSION. Steps create stores
+   and indexes and may rewrite existing records; a step that does returns
+   a promise, and the next step starts only once it settles. All of them
+   run inside the one versionchange transaction, so an upgrade lands
+   completely or — if any step fails — is rolled back, leaving the old
+   database as it was; showUpgradeRecovery() then offers a backup of it.
 ───────────────────────────────────────────── */
 
+/**
+ * Rewrite every record of a store inside an upgrade: fn(record) returns
+ * the new record, or nothing to leave it alone. Resolves once the cursor
+ * has passed the last record.
+ */
+function migrateRecords(tx, storeName, fn) {
+  return new Promise((resolve, reject) => {
+    const req = tx.objectStore(storeName).openCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) { resolve(); return; }
+      try {
+        const updated = fn(cursor.value);
+        if (updated) cursor.update(updated);
+        cursor.continue();
+      } catch (err) {
+        reject(err);
+      }
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    upgrade(idb) {
+      idb.createObjectStore(STORE_GAMES, { keyPath: 'game_id' });
+      const evStore = idb.createObjectStore(STORE_EVENTS, { keyPath: 'event_id' });
+      // Index lets us efficiently fetch all events for a given game
+      evStore.createIndex('by_game', 'game_id', { unique: false });
+    },
+  },
+  {
+    version: 2,
+    upgrade(idb) {
+      idb.createObjectStore(STORE_META, { keyPath: 'key' });
+    },
+  },
+  {
+    version: 3,
+    upgrade(idb) {
+      idb.createObjectStore(STORE_TEAMS, { keyPath: 'team_id' });
+    },
+  },
+  {
+    version: 4,
+    upgrade(idb) {
+      // Auto-numbered, so a game's entries read back in the order written
+      const jrStore = idb.createObjectStore(STORE_JOURNAL, { keyPath: 'entry_id', autoIncrement: true });
+      jrStore.createIndex('by_game', 'game_id', { unique: false });
+    },
+  },
+  {
+    version: 5,
+    upgrade(idb, tx) {
+      const games  = tx.objectStore(STORE_GAMES);
+      const events = tx.objectStore(STORE_EVENTS);
+      games.createIndex('by_date',     'date',     { unique: false });
+      games.createIndex('by_opponent', 'opponent', { unique: false });
+      // A game's events in match order (dbGetEventsByGame)
+      events.createIndex('by_game_time', ['game_id', 'half', 't_half_seconds'], { unique: false });
+
+      // Records from the first versions lack fields written since. Fill
+      // them in as the app already reads them, so every record is indexed.
+      return migrateRecords(tx, STORE_GAMES, (g) => {
+        if (typeof g.date === 'string' && g.team && g.periods) return null;
+        const created = Number(String(g.game_id).split('_')[1]);
+        return {
+          ...g,
+          date:    typeof g.date === 'string' ? g.date : new Date(Number.isFinite(created) ? created : 0).toISOString(),
+          team:    g.team || { ...DEFAULT_TEAM },
+          periods: g.periods || [],
+        };
+      }).then(() => migrateRecords(tx, STORE_EVENTS, (e) => {
+        if (e.player_id !== undefined && Number.isFinite(e.half) && Number.isFinite(e.t_half_seconds)) return null;
+        return {
+          ...e,
+          half:           Number.isFinite(e.half) ? e.half : Number(e.half) || 1,
+          t_half_seconds: Number.isFinite(e.t_half_seconds) ? e.t_half_seconds : Number(e.t_half_seconds) || 0,
+          player_id:      e.player_id ?? null,
+        };
+      }));
+    },
+  },
+  {
+    version: 6,
+    upgrade(idb, tx) {
+      // The saved games list's filter options, read without loading games
+      const games = tx.objectStore(STORE_GAMES);
+      games.createIndex('by_competition', 'competition', { unique: false });
+      games.createIndex('by_venue',       'venue',       { unique: false });
+
+      // Games saved before summaries were kept get one from their events
+      return new Promise((resolve, reject) => {
+        const req = tx.objectStore(STORE_EVENTS).getAll();
+        req.onsuccess = () => resolve(eventsByGame(req.result));
+        req.onerror   = () => reject(req.error);
+      }).then((byGame) => migrateRecords(tx, STORE_GAMES, (g) =>
+        (g.summary ? null : withSummary(g, byGame[g.game_id] || []))));
+    },
+  },
+];
+
+/** Open the database, upgrading it step by step to DB_VERSION */
 function openDB() {
   return new Promise((resolve, reject) => {
     const req = indexedDB.open(DB_NAME, DB_VERSION);
+    let failure = null;
 
     req.onupgradeneeded = (e) => {
-      const idb = e.target.result;
-      if (!idb.objectStoreNames.contains(STORE_GAMES)) {
-        idb.createObjectStore(STORE_GAMES, { keyPath: 'game_id' });
-      }
-      if (!idb.objectStoreNames.contains(STORE_EVENTS)) {
-        const evStore = idb.createObjectStore(STORE_EVENTS, { keyPath: 'event_id' });
-        // Index lets us efficiently fetch all events for a given game
-        evStore.createIndex('by_game', 'game_id', { unique: false });
-      }
+      const idb   = req.result;
+      const tx    = req.transaction;
+      const steps = MIGRATIONS.filter((m) => m.version > e.oldVersion && m.version <= DB_VERSION);
+
+      const fail = (step, err) => {
+        failure = `upgrade to version ${step.version}: ${err.message}`;
+        tx.abort();   // nothing is kept; the database stays at e.oldVersion
+      };
+      // Synchronous steps run back to back; a step's promise holds the next
+      // one until its requests are done, so no two steps' cursors interleave
+      const runFrom = (i) => {
+        const step = steps[i];
+        if (!step) return;
+        let pending;
+        try {
+          pending = step.upgrade(idb, tx);
+        } catch (err) {
+          fail(step, err);
+          return;
+        }
+        if (pending) pending.then(() => runFrom(i + 1), (err) => fail(step, err));
+        else         runFrom(i + 1);
+      };
+      runFrom(0);
     };
+    // Another tab still has the old version open
+    req.onblocked = () => showToast('Close other GameMoments tabs to finish updating');
+
+    req.onsuccess = () => {
+      const idb = req.result;
+      // Let a newer version in another tab upgrade instead of blocking it
+      idb.onversionchange = () => idb.close();
+      resolve(idb);
+    };
+    req.onerror = () => reject(new Error(failure || (req.error && req.error.message) || 'Could not open the database'));
+  });
+}
 
-    req.onsuccess = (e) => resolve(e.target.result);
-    req.onerror   = (e) => reject(e.target.error);
+/** Open the database at whatever version is on disk, without upgrading */
+function openDBAsIs() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
   });
 }
 
+/**
+ * A failed upgrade leaves the old database untouched. Say so, and offer
+ * its contents as a backup file (the format RESTORE reads) and a retry.
+ */
+async function showUpgradeRecovery(err) {
+  let data = null;
+  let version = '?';
+  try {
+    const old = await openDBAsIs();
+    version = old.version;
+    data = { format: BACKUP_FORMAT, version: BACKUP_VERSION, exported_at: new Date().toISOString() };
+    for (const name of [STORE_GAMES, STORE_EVENTS, STORE_TEAMS, STORE_META, STORE_JOURNAL]) {
+      data[name] = old.objectStoreNames.contains(name) ? await new Promise((resolve, reject) => {
+        const req = old.transaction(name, 'readonly').objectStore(name).getAll();
+        req.onsuccess = () => resolve(req.result);
+        req.onerror   = () => reject(req.error);
+      }) : [];
+    }
+    data.meta = data.meta.filter((m) => m.key !== META_SESSION);
+    old.close();
+  } catch (readErr) {
+    console.error('Could not read the old database', readErr);
+  }
+
+  const body = openSheet('DATABASE UPDATE FAILED', `
+    <div class="import-summary">
+      <div>This version of the app could not update its storage (${esc(err.message)}).</div>
+      <div>Nothing was changed: your data is still stored as before (version ${esc(version)}).</div>
+      ${data ? `<div>Download a backup of it now. It can be restored with SETTINGS → RESTORE.</div>` : '<div>✕ The stored data could not be read either.</div>'}
+    </div>
+    <div class="sheet-actions">
+      ${data ? '<button id="recovery-backup" class="btn-secondary">⬇ BACKUP</button>' : ''}
+      <button id="recovery-retry" class="btn-secondary">RETRY</button>
+    </div>`);
+
+  if (data) {
+    body.querySelector('#recovery-backup').addEventListener('click', () => {
+      const date = new Date().toISOString().slice(0, 10);
+      downloadFile(JSON.stringify(data, null, 1), `GameMoments_backup_${date}.json`, 'application/json;charset=utf-8;');
+    });
+  }
+  body.querySelector('#recovery-retry').addEventListener('click', () => location.reload());
+}
+
 /** Write (insert or update) a single record */
 function dbPut(storeName, data) {
   return new Promise((resolve, reject) => {
@@ -163,6 +371,16 @@ function dbPut(storeName, data) {
   });
 }
 
+/** Read a single record by key (resolves undefined if absent) */
+function dbGet(storeName, key) {
+  return new Promise((resolve, reject) => {
+    const tx  = db.transaction(storeName, 'readonly');
+    const req = tx.objectStore(storeName).get(key);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
+  });
+}
+
 /** Read all records from a store */
 function dbGetAll(storeName) {
   return new Promise((resolve, reject) => {
@@ -173,17 +391,148 @@ function dbGetAll(storeName) {
   });
 }
 
-/** Read all events for a specific game_id using the index */
+/** Read all events for a specific game_id, in match order (by_game_time index) */
 function dbGetEventsByGame(gameId) {
   return new Promise((resolve, reject) => {
     const tx    = db.transaction(STORE_EVENTS, 'readonly');
-    const index = tx.objectStore(STORE_EVENTS).index('by_game');
+    const index = tx.objectStore(STORE_EVENTS).index('by_game_time');
+    const req   = index.getAll(IDBKeyRange.bound([gameId, -Infinity, -Infinity], [gameId, Infinity, Infinity]));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
+  });
+}
+
+/** Every record a store files under gameId (by_game index) */
+function dbGetByGame(storeName, gameId) {
+  return new Promise((resolve, reject) => {
+    const tx    = db.transaction(storeName, 'readonly');
+    const index = tx.objectStore(storeName).index('by_game');
     const req   = index.getAll(gameId);
     req.onsuccess = () => resolve(req.result);
     req.onerror   = () => reject(req.error);
   });
 }
 
+/**
+ * Write many records across stores in ONE transaction, so an import either
+ * lands completely or not at all. `records` is { storeName: [record, …] };
+ * with `replace`, those stores are cleared first.
+ */
+function dbImport(records, replace = false) {
+  const stores = Object.keys(records);
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(stores, 'readwrite');
+    stores.forEach((name) => {
+      const store = tx.objectStore(name);
+      if (replace) store.clear();
+      records[name].forEach((r) => store.put(r));
+    });
+    tx.oncomplete = () => resolve();
+    tx.onerror    = () => reject(tx.error);
+    tx.onabort    = () => reject(tx.error);
+  });
+}
+
+/** Every distinct key of an index, ascending */
+function dbIndexKeys(storeName, indexName) {
+  return new Promise((resolve, reject) => {
+    const keys = [];
+    const tx   = db.transaction(storeName, 'readonly');
+    const req  = tx.objectStore(storeName).index(indexName).openKeyCursor(null, 'nextunique');
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) { resolve(keys); return; }
+      keys.push(cursor.key);
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/** Number of records in a store */
+function dbCount(storeName) {
+  return new Promise((resolve, reject) => {
+    const req = db.transaction(storeName, 'readonly').objectStore(storeName).count();
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
+  });
+}
+
+/**
+ * One page of games, newest first, walking the by_date index: up to
+ * `limit` games passing `keep`, dated from `from` up to (not including)
+ * `to` — ISO strings, either optional — and continuing after the game
+ * `after` ends the previous page. Resolves { games, more }.
+ */
+function dbGetGamesPage({ from = null, to = null, after = null, keep = () => true, limit }) {
+  // A later page resumes at the previous page's last date, inclusive:
+  // games sharing that date come in descending game_id order
+  const upper     = after ? after.date : to;
+  const upperOpen = !after;
+  if (from && upper && (from > upper || (from === upper && upperOpen))) {
+    return Promise.resolve({ games: [], more: false });
+  }
+  let range = null;
+  if (from && upper) range = IDBKeyRange.bound(from, upper, false, upperOpen);
+  else if (from)     range = IDBKeyRange.lowerBound(from);
+  else if (upper)    range = IDBKeyRange.upperBound(upper, upperOpen);
+
+  return new Promise((resolve, reject) => {
+    const games = [];
+    const tx    = db.transaction(STORE_GAMES, 'readonly');
+    const req   = tx.objectStore(STORE_GAMES).index('by_date').openCursor(range, 'prev');
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) { resolve({ games, more: false }); return; }
+      const game = cursor.value;
+      const seen = after && game.date === after.date && game.game_id >= after.game_id;
+      if (!seen && keep(game)) {
+        // One game past the page only tells us there is another page
+        if (games.length === limit) { resolve({ games, more: true }); return; }
+        games.push(game);
+      }
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Put and delete records across stores in ONE transaction: `puts` is
+ * { storeName: [record, …] }, `deletes` { storeName: [key, …] }.
+ */
+function dbWrite(puts, deletes = {}) {
+  const stores = [...new Set([...Object.keys(puts), ...Object.keys(deletes)])];
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(stores, 'readwrite');
+    Object.entries(puts).forEach(([name, records]) => records.forEach((r) => tx.objectStore(name).put(r)));
+    Object.entries(deletes).forEach(([name, keys]) => keys.forEach((k) => tx.objectStore(name).delete(k)));
+    tx.oncomplete = () => resolve();
+    tx.onerror    = () => reject(tx.error);
+    tx.onabort    = () => reject(tx.error);
+  });
+}
+
+/** Delete a game and every event and journal entry filed under it, atomically */
+function dbDeleteGame(gameId) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORE_GAMES, STORE_EVENTS, STORE_JOURNAL], 'readwrite');
+    tx.objectStore(STORE_GAMES).delete(gameId);
+    [STORE_EVENTS, STORE_JOURNAL].forEach((name) => {
+      const req = tx.objectStore(name).index('by_game').openCursor(IDBKeyRange.only(gameId));
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        cursor.delete();
+        cursor.continue();
+      };
+    });
+    tx.oncomplete = () => resolve();
+    tx.onerror    = () => reject(tx.error);
+    tx.onabort    = () => reject(tx.error);
+  });
+}
+
 /** Delete a single record by key */
 function dbDelete(storeName, key) {
   return new Promise((resolve, reject) => {
@@ -204,17 +553,657 @@ function showScreen(name) {
   document.getElementById(`screen-${name}`).classList.add('active');
 }
 
+/** Back to setup — re-themes for the picked team, since review may have
+ *  shown a game logged under a different profile */
+function showSetupScreen() {
+  applyTeamTheme(selectedTeamProfile());
+  showScreen('setup');
+}
+
+
+/* ─────────────────────────────────────────────
+   TEAM PROFILES
+   A profile is { team_id, name, short, color, players }, where players
+   is the roster: [{ player_id, name, number }]. startGame() copies the
+   chosen profile onto the game record as `team`, so editing or deleting
+   a profile later never changes how an already-logged game reads.
+───────────────────────────────────────────── */
+
+/** Team profile for a game — legacy games without a snapshot were PFC.
+ *  With no game loaded at all, the profile picked on setup. */
+function gameTeam(game = currentGame) {
+  if (!game) return selectedTeamProfile();
+  return game.team || DEFAULT_TEAM;
+}
+
+/** Profile currently chosen in the setup screen's team picker */
+function selectedTeamProfile() {
+  const id = document.getElementById('input-team').value;
+  return teamProfiles.find((t) => t.team_id === id) || teamProfiles[0] || DEFAULT_TEAM;
+}
+
+function eventType(family) {
+  return eventTypes.find((t) => t.code === family) || null;
+}
+
+/** Event type part of a stored code: 'GK_PFC' → 'GK' */
+function eventFamily(code) {
+  return code.replace(/_(PFC|OPP)$/, '');
+}
+
+function isOurEvent(code) {
+  return code.endsWith('_PFC');
+}
+
+/** Human-readable label, e.g. "Goal Kick — Riverside" (UI / text export) */
+function eventDisplay(code, team = gameTeam()) {
+  const type = eventType(eventFamily(code));
+  if (!type) return code;
+  return `${type.name} — ${isOurEvent(code) ? team.name : 'Opponent'}`;
+}
+
+/** CSV team column: the profile's short code in lowercase, or 'opp' */
+function exportTeamCode(code, team = gameTeam()) {
+  return isOurEvent(code) ? team.short.toLowerCase() : 'opp';
+}
+
+/** Event type for export naming — shootout kicks included */
+function exportEventType(code) {
+  const family = eventFamily(code);
+  return family === SHOOTOUT_CODE ? SHOOTOUT_EXPORT_TYPE : eventType(family);
+}
+
+/** Export-friendly snake_case code, e.g. goal_kick_pfc / goal_kick_opp */
+function eventExportCode(code, team = gameTeam()) {
+  const type = exportEventType(code);
+  if (!type) return code.toLowerCase();
+  return `${type.slug}_${exportTeamCode(code, team)}`;
+}
+
+/** Roster entry for a player_id, or null if none / not on the roster */
+function findPlayer(playerId, team = gameTeam()) {
+  if (!playerId) return null;
+  return (team.players || []).find((p) => p.player_id === playerId) || null;
+}
+
+/** "#9 Sam" for an event's player_id, '' if none or not on the roster */
+function playerLabel(playerId, team = gameTeam()) {
+  const p = findPlayer(playerId, team);
+  if (!p) return '';
+  return p.number !== '' ? `#${p.number} ${p.name}` : p.name;
+}
+
+/** Event label plus its player, if one was picked: "Goal — PFC · #9 Sam" */
+function eventDisplayWithPlayer(e, team = gameTeam()) {
+  const player = playerLabel(e.player_id, team);
+  return player ? `${eventDisplay(e.event_code, team)} · ${player}` : eventDisplay(e.event_code, team);
+}
+
+/** Export label. Hyphen-minus (not em dash) to stay plain-text friendly in
+ *  spreadsheets and FFmpeg chapter markers. */
+function eventExportLabel(code, team = gameTeam()) {
+  const type = exportEventType(code);
+  if (!type) return eventExportCode(code, team);
+  return `${type.name} - ${isOurEvent(code) ? team.name : 'Opponent'}`;
+}
+
+/** CSV event_family: the type's slug, or the raw family once its type is gone */
+function eventExportFamily(code) {
+  return exportEventType(code)?.slug ?? eventFamily(code).toLowerCase();
+}
+
+/** Load profiles into teamProfiles, seeding the default on first run */
+async function loadTeamProfiles() {
+  teamProfiles = await dbGetAll(STORE_TEAMS);
+  if (!teamProfiles.length) {
+    await dbPut(STORE_TEAMS, DEFAULT_TEAM);
+    teamProfiles = [{ ...DEFAULT_TEAM }];
+  }
+  teamProfiles.sort((a, b) => a.name.localeCompare(b.name));
+
+  const last = await dbGet(STORE_META, META_LAST_TEAM);
+  renderTeamPicker(last ? last.value : null);
+}
+
+/** Fill the setup screen's team <select>, keeping `selectedId` if it exists */
+function renderTeamPicker(selectedId) {
+  const select = document.getElementById('input-team');
+  select.innerHTML = teamProfiles.map((t) =>
+    `<option value="${esc(t.team_id)}">${esc(t.name === t.short ? t.name : `${t.name} (${t.short})`)}</option>`
+  ).join('');
+  if (teamProfiles.some((t) => t.team_id === selectedId)) select.value = selectedId;
+  applyTeamTheme(selectedTeamProfile());
+}
+
+function onTeamPicked() {
+  const team = selectedTeamProfile();
+  applyTeamTheme(team);
+  dbPut(STORE_META, { key: META_LAST_TEAM, value: team.team_id });
+}
+
+/**
+ * Point the --pfc* CSS accent variables at a team's colour and relabel the
+ * static our-team text (scoreboard, team filter). Called whenever the
+ * "active" team changes: setup picker, starting/resuming a game, review.
+ */
+function applyTeamTheme(team) {
+  const rgb  = hexToRgb(team.color) || hexToRgb(DEFAULT_TEAM.color);
+  const root = document.documentElement.style;
+  root.setProperty('--pfc',     team.color);
+  root.setProperty('--pfc-rgb', rgb.join(','));
+  // Dimmed depth edge: same hue at ~46% brightness (matches #00e5ff → #006a77)
+  root.setProperty('--pfc-dim', `rgb(${rgb.map((c) => Math.round(c * 0.46)).join(',')})`);
+
+  document.getElementById('score-pfc-name').textContent = team.short;
+  document.querySelector('#filter-team option[value="PFC"]').textContent = team.short;
+}
+
+/** '#00e5ff' → [0, 229, 255]; null if the string is not a 6-digit hex colour */
+function hexToRgb(hex) {
+  const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+  return m ? m.slice(1).map((h) => parseInt(h, 16)) : null;
+}
+
+
+/* ─────────────────────────────────────────────
+   TEAMS SCREEN
+───────────────────────────────────────────── */
+
+function viewTeams() {
+  const listEl = document.getElementById('teams-list');
+  listEl.innerHTML = teamProfiles.map((t) => `
+    <div class="game-item team-item" data-id="${esc(t.team_id)}">
+      <div class="gi-main">
+        <span class="gi-opp">
+          <span class="team-swatch" style="background:${esc(t.color)}"></span>${esc(t.name)}
+        </span>
+        <span class="gi-date">${esc(t.short)}</span>
+      </div>
+    </div>`).join('');
+
+  listEl.querySelectorAll('.team-item').forEach((item) => {
+    item.addEventListener('click', () =>
+      openTeamEditor(teamProfiles.find((t) => t.team_id === item.dataset.id)));
+  });
+
+  showScreen('teams');
+}
+
+/** Open the create/edit sheet. `team` undefined → create a new profile. */
+function openTeamEditor(team) {
+  const isNew = !team;
+  const t     = team || { team_id: `team_${Date.now()}`, name: '', short: '', color: DEFAULT_TEAM.color };
+  // Roster edits stay in this draft until SAVE
+  const players = (t.players || []).map((p) => ({ ...p }));
+
+  const body = openSheet(isNew ? 'NEW TEAM' : 'EDIT TEAM', `
+    <div class="field-group">
+      <label class="field-label" for="team-name">TEAM NAME</label>
+      <input class="field-input" type="text" id="team-name" value="${esc(t.name)}"
+             placeholder="e.g. Riverside Rovers" autocomplete="off" autocapitalize="words">
+    </div>
+    <div class="field-group">
+      <label class="field-label" for="team-short">SHORT CODE (2–5 LETTERS)</label>
+      <input class="field-input" type="text" id="team-short" value="${esc(t.short)}"
+             placeholder="RIV" maxlength="5" autocomplete="off" autocapitalize="characters">
+    </div>
+    <div class="field-group">
+      <label class="field-label" for="team-color">COLOUR</label>
+      <input class="field-input field-color" type="color" id="team-color" value="${esc(t.color)}">
+    </div>
+    <div class="field-group">
+      <label class="field-label" for="player-name">ROSTER</label>
+      <div class="roster-list" id="roster-list"></div>
+      <div class="type-add-row">
+        <input class="field-input roster-number" type="text" id="player-number"
+               placeholder="#" maxlength="3" inputmode="numeric" autocomplete="off">
+        <input class="field-input" type="text" id="player-name"
+               placeholder="Player name" autocomplete="off" autocapitalize="words">
+        <button id="player-add" class="btn-secondary">+ ADD</button>
+      </div>
+    </div>
+    <div class="sheet-actions">
+      ${isNew ? '' : '<button id="team-delete" class="btn-ghost btn-danger">DELETE</button>'}
+      <button id="team-save" class="btn-secondary">SAVE</button>
+    </div>`);
+
+  const renderRoster = () => {
+    const listEl = body.querySelector('#roster-list');
+    listEl.innerHTML = players.length
+      ? players.map((p, i) => `
+          <div class="roster-row">
+            <span class="roster-num">${p.number !== '' ? `#${esc(p.number)}` : '–'}</span>
+            <span class="roster-name">${esc(p.name)}</span>
+            <button class="btn-icon" data-index="${i}" aria-label="Remove ${esc(p.name)}">✕</button>
+          </div>`).join('')
+      : '<div class="adjust-hint">No players yet</div>';
+    listEl.querySelectorAll('[data-index]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        players.splice(Number(btn.dataset.index), 1);
+        renderRoster();
+      });
+    });
+  };
+
+  body.querySelector('#player-add').addEventListener('click', () => {
+    const nameEl = body.querySelector('#player-name');
+    const numEl  = body.querySelector('#player-number');
+    const name   = nameEl.value.trim();
+    if (!name) { showToast('Enter a player name'); return; }
+    players.push({
+      player_id: `pl_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+      name,
+      number:    numEl.value.replace(/\D/g, ''),
+    });
+    players.sort((a, b) => (Number(a.number) || 999) - (Number(b.number) || 999));
+    nameEl.value = '';
+    numEl.value  = '';
+    renderRoster();
+  });
+
+  renderRoster();
+  body.querySelector('#team-save').addEventListener('click', () => saveTeamProfile(t, players));
+  if (!isNew) body.querySelector('#team-delete').addEventListener('click', () => deleteTeamProfile(t));
+}
+
+async function saveTeamProfile(team, players) {
+  const name  = document.getElementById('team-name').value.trim();
+  const short = document.getElementById('team-short').value.trim().toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const color = document.getElementById('team-color').value;
+
+  if (!name) { showToast('Enter a team name'); return; }
+  // The short code becomes the CSV team column, where 'opp' is taken
+  if (short.length < 2 || short === 'OPP') { showToast('Short code: 2–5 letters, not OPP'); return; }
+
+  await dbPut(STORE_TEAMS, { ...team, name, short, color, players });
+  closeSheet();
+  await loadTeamProfiles();
+  viewTeams();
+  showToast('Team saved');
+}
+
+async function deleteTeamProfile(team) {
+  if (teamProfiles.length <= 1) { showToast('Keep at least one team'); return; }
+  // Games keep their own snapshot of the profile, so nothing else changes
+  if (!confirm(`Delete team "${team.name}"? Saved games are not affected.`)) return;
+
+  await dbDelete(STORE_TEAMS, team.team_id);
+  closeSheet();
+  await loadTeamProfiles();
+  viewTeams();
+  showToast('Team deleted');
+}
+
+
+/* ─────────────────────────────────────────────
+   SETTINGS — EVENT TYPES
+   The type list is stored whole in the meta store and edited in place:
+   rename, reorder, hide/show and add. Types are never deleted — logged
+   events keep referring to their code — so "remove" means hide.
+───────────────────────────────────────────── */
+
+async function loadEventTypes() {
+  const rec = await dbGet(STORE_META, META_EVENT_TYPES);
+  // Lists saved by older versions may lack newer flags — take the built-in
+  // type's value (or false) for anything missing
+  eventTypes = (rec ? rec.value : DEFAULT_EVENT_TYPES).map((t) => {
+    const builtIn = DEFAULT_EVENT_TYPES.find((d) => d.code === t.code);
+    return {
+      pickPlayer: builtIn ? builtIn.pickPlayer : false,
+      setPiece:   builtIn ? builtIn.setPiece   : false,
+      ...t,
+    };
+  });
+}
+
+function saveEventTypes() {
+  return dbPut(STORE_META, { key: META_EVENT_TYPES, value: eventTypes });
+}
+
+/** Types shown as rows on the logging grid */
+function visibleEventTypes() {
+  return eventTypes.filter((t) => !t.hidden);
+}
+
+function viewSettings() {
+  renderEventTypeEditor();
+  showScreen('settings');
+}
+
+function renderEventTypeEditor() {
+  const listEl = document.getElementById('types-list');
+  listEl.innerHTML = eventTypes.map((t, i) => `
+    <div class="type-row${t.hidden ? ' type-hidden' : ''}" data-code="${esc(t.code)}">
+      <input class="field-input type-name" type="text" value="${esc(t.name)}"
+             aria-label="Name for ${esc(t.name)}" autocomplete="off" autocapitalize="words">
+      <button class="btn-icon" data-act="up"   ${i === 0 ? 'disabled' : ''} aria-label="Move up">▲</button>
+      <button class="btn-icon" data-act="down" ${i === eventTypes.length - 1 ? 'disabled' : ''} aria-label="Move down">▼</button>
+      <button class="btn-icon btn-type-player${t.pickPlayer ? ' on' : ''}" data-act="player"
+              aria-pressed="${!!t.pickPlayer}" aria-label="Ask for player">👤</button>
+      <button class="btn-icon btn-type-player${t.setPiece ? ' on' : ''}" data-act="setpiece"
+              aria-pressed="${!!t.setPiece}" aria-label="Counts as a set piece">⚑</button>
+      <button class="btn-icon btn-type-toggle" data-act="toggle">${t.hidden ? 'SHOW' : 'HIDE'}</button>
+    </div>`).join('');
+
+  listEl.querySelectorAll('.type-row').forEach((row) => {
+    const code = row.dataset.code;
+    row.querySelector('.type-name').addEventListener('change', (e) => renameEventType(code, e.target.value));
+    row.querySelectorAll('[data-act]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        if      (btn.dataset.act === 'toggle') toggleEventType(code);
+        else if (btn.dataset.act === 'player') togglePlayerPick(code);
+        else if (btn.dataset.act === 'setpiece') toggleSetPiece(code);
+        else moveEventType(code, btn.dataset.act === 'up' ? -1 : 1);
+      });
+    });
+  });
+}
+
+async function renameEventType(code, name) {
+  const type = eventType(code);
+  const clean = name.trim();
+  if (!clean) { renderEventTypeEditor(); return; }
+  type.name = clean;
+  await saveEventTypes();
+  showToast('Renamed');
+}
+
+async function moveEventType(code, delta) {
+  const from = eventTypes.findIndex((t) => t.code === code);
+  const to   = from + delta;
+  if (to < 0 || to >= eventTypes.length) return;
+  const [type] = eventTypes.splice(from, 1);
+  eventTypes.splice(to, 0, type);
+  await saveEventTypes();
+  renderEventTypeEditor();
+}
+
+async function toggleEventType(code) {
+  const type = eventType(code);
+  if (!type.hidden && visibleEventTypes().length === 1) {
+    showToast('Keep at least one event type');
+    return;
+  }
+  type.hidden = !type.hidden;
+  await saveEventTypes();
+  renderEventTypeEditor();
+}
+
+async function togglePlayerPick(code) {
+  const type = eventType(code);
+  type.pickPlayer = !type.pickPlayer;
+  await saveEventTypes();
+  renderEventTypeEditor();
+}
+
+async function toggleSetPiece(code) {
+  const type = eventType(code);
+  type.setPiece = !type.setPiece;
+  await saveEventTypes();
+  renderEventTypeEditor();
+}
+
+async function addEventType() {
+  const input = document.getElementById('new-type-name');
+  const name  = input.value.trim();
+  if (!name) { showToast('Enter a name'); return; }
+
+  const slug = slugify(name);
+  if (!slug || eventTypes.some((t) => t.slug === slug)) {
+    showToast('That event type already exists');
+    return;
+  }
+
+  eventTypes.push({ code: uniqueTypeCode(name), name, slug, isGoal: false, hidden: false, pickPlayer: false, setPiece: false });
+  await saveEventTypes();
+  input.value = '';
+  renderEventTypeEditor();
+  showToast('Event type added');
+}
+
+/** Short upper-case storage code from a name, e.g. "Throw-in Turnover" → THROWI.
+ *  Letters and digits only, so the _PFC / _OPP suffix can't be confused. */
+function uniqueTypeCode(name) {
+  const base = name.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 6) || 'EV';
+  let code = base;
+  for (let n = 2; eventType(code); n++) code = `${base}${n}`;
+  return code;
+}
+
+/** "Throw-in Turnover" → "throw_in_turnover" */
+function slugify(str) {
+  return str.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+
+/* ─────────────────────────────────────────────
+   BACKUP & RESTORE
+   The whole database as one versioned JSON file. The live session
+   snapshot is device-local and never included. Restore validates the
+   file, shows a dry-run summary, then merges (existing game_id /
+   event_id / team_id / meta keys win) or replaces everything.
+───────────────────────────────────────────── */
+
+const BACKUP_FORMAT  = 'gamemoments-backup';
+const BACKUP_VERSION = 1;
+
+async function exportBackup() {
+  const [games, events, teams, meta, journalEntries] = await Promise.all([
+    dbGetAll(STORE_GAMES), dbGetAll(STORE_EVENTS), dbGetAll(STORE_TEAMS), dbGetAll(STORE_META),
+    dbGetAll(STORE_JOURNAL),
+  ]);
+
+  const backup = {
+    format:      BACKUP_FORMAT,
+    version:     BACKUP_VERSION,
+    exported_at: new Date().toISOString(),
+    games,
+    events,
+    teams,
+    meta:        meta.filter((m) => m.key !== META_SESSION),
+    journal:     journalEntries,
+  };
+
+  const date = new Date().toISOString().slice(0, 10);
+  downloadFile(JSON.stringify(backup, null, 1), `GameMoments_backup_${date}.json`,
+    'application/json;charset=utf-8;');
+  showToast(`Backed up ${games.length} game${games.length !== 1 ? 's' : ''}`);
+}
+
+/**
+ * Check a parsed backup's shape. Returns a list of problems (empty = OK).
+ * Only the fields the app relies on are checked; extra fields pass through.
+ */
+function validateBackup(data) {
+  if (!data || typeof data !== 'object') return ['Not a JSON object'];
+  if (data.format !== BACKUP_FORMAT) return ['Not a GameMoments backup file'];
+  if (!(data.version >= 1 && data.version <= BACKUP_VERSION)) {
+    return [`Backup version ${data.version} is not supported by this app version`];
+  }
+
+  const problems = [];
+  const checkList = (name, isValid) => {
+    if (!Array.isArray(data[name])) { problems.push(`Missing "${name}" list`); return; }
+    const bad = data[name].filter((r) => !r || typeof r !== 'object' || !isValid(r)).length;
+    if (bad) problems.push(`${bad} invalid record${bad !== 1 ? 's' : ''} in "${name}"`);
+  };
+  const isStr = (v) => typeof v === 'string' && v !== '';
+  const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+  checkList('games',  (g) => isStr(g.game_id) && isStr(g.date) && typeof g.opponent === 'string');
+  checkList('events', (e) => isStr(e.event_id) && isStr(e.game_id) && isStr(e.event_code) &&
+                             isNum(e.half) && isNum(e.t_half_seconds));
+  checkList('teams',  (t) => isStr(t.team_id) && isStr(t.name) && isStr(t.short));
+  checkList('meta',   (m) => isStr(m.key));
+  // Backups made before the action journal existed simply have none
+  if (data.journal !== undefined) checkList('journal', (j) => isStr(j.game_id) && isStr(j.action));
+  return problems;
+}
+
+/** Read the picked file, validate it and show the dry-run summary sheet */
+async function onBackupFilePicked(e) {
+  const file = e.target.files[0];
+  e.target.value = '';   // let the same file be picked again
+  if (!file) return;
+
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (_) {
+    showToast('File is not valid JSON');
+    return;
+  }
+
+  const problems = validateBackup(data);
+  if (problems.length) {
+    openSheet('CANNOT RESTORE', `
+      <div class="import-summary">${problems.map((p) => `<div>✕ ${esc(p)}</div>`).join('')}</div>
+      <button id="restore-cancel" class="btn-ghost">CLOSE</button>`)
+      .querySelector('#restore-cancel').addEventListener('click', closeSheet);
+    return;
+  }
+
+  await showRestoreSummary(data);
+}
+
+async function showRestoreSummary(data) {
+  const [games, events, teams] = await Promise.all([
+    dbGetAll(STORE_GAMES), dbGetAll(STORE_EVENTS), dbGetAll(STORE_TEAMS),
+  ]);
+  const plan = planMerge(data, { games, events, teams });
+
+  const exported = new Date(data.exported_at).toLocaleString();
+  const line = (label, added, dupes) =>
+    `<div><b>${added}</b> new ${label}${dupes ? ` · ${dupes} already here (kept as is)` : ''}</div>`;
+
+  const body = openSheet('RESTORE BACKUP', `
+    <div class="import-summary">
+      <div class="adjust-hint">Backup from ${esc(exported)}: ${data.games.length} games,
+        ${data.events.length} events, ${data.teams.length} teams.</div>
+      <div class="field-label">MERGE WOULD ADD</div>
+      ${line('games',  plan.games.length,  data.games.length  - plan.games.length)}
+      ${line('events', plan.events.length, data.events.length - plan.events.length - plan.orphans)}
+      ${line('teams',  plan.teams.length,  data.teams.length  - plan.teams.length)}
+      ${plan.orphans ? `<div>✕ ${plan.orphans} events belong to no game and will be skipped</div>` : ''}
+      <div class="field-label">REPLACE WOULD</div>
+      <div>Delete this phone's ${games.length} games and ${events.length} events, then load the backup.</div>
+    </div>
+    <div class="sheet-actions">
+      <button id="restore-cancel"  class="btn-ghost">CANCEL</button>
+      <button id="restore-replace" class="btn-secondary btn-danger">REPLACE</button>
+      <button id="restore-merge"   class="btn-secondary">MERGE</button>
+    </div>`);
+
+  body.querySelector('#restore-cancel').addEventListener('click', closeSheet);
+  body.querySelector('#restore-merge').addEventListener('click', () => applyRestore(data, plan, false));
+  body.querySelector('#restore-replace').addEventListener('click', () => applyRestore(data, plan, true));
+}
+
+/**
+ * Work out what a merge would write: records whose key isn't already on
+ * this device. Events are only taken if their game exists (here or in the
+ * backup); the rest are counted as orphans.
+ */
+function planMerge(data, existing) {
+  const haveGames  = new Set(existing.games.map((g) => g.game_id));
+  const haveEvents = new Set(existing.events.map((e) => e.event_id));
+  const haveTeams  = new Set(existing.teams.map((t) => t.team_id));
+  const allGameIds = new Set([...haveGames, ...data.games.map((g) => g.game_id)]);
+
+  const knownGame = data.events.filter((e) => allGameIds.has(e.game_id));
+  return {
+    games:   data.games.filter((g) => !haveGames.has(g.game_id)),
+    events:  knownGame.filter((e) => !haveEvents.has(e.event_id)),
+    teams:   data.teams.filter((t) => !haveTeams.has(t.team_id)),
+    orphans: data.events.length - knownGame.length,
+  };
+}
+
+async function applyRestore(data, plan, replace) {
+  if (replace && !confirm('Replace ALL games, teams and settings on this phone with the backup?')) return;
+
+  const gameIds = new Set(data.games.map((g) => g.game_id));
+  let records;
+  // Backups from before summaries were kept have games without one
+  const byGame = eventsByGame(data.events);
+  const games  = (list) => list.map((g) => (g.summary ? g : withSummary(g, byGame[g.game_id] || [])));
+  if (replace) {
+    records = {
+      [STORE_GAMES]:  games(data.games),
+      [STORE_EVENTS]: data.events.filter((e) => gameIds.has(e.game_id)),
+      [STORE_TEAMS]:  data.teams,
+      [STORE_META]:   data.meta.filter((m) => m.key !== META_SESSION),
+      [STORE_JOURNAL]: (data.journal || []).filter((j) => gameIds.has(j.game_id)),
+    };
+  } else {
+    const haveMeta = new Set((await dbGetAll(STORE_META)).map((m) => m.key));
+    records = {
+      [STORE_GAMES]:  games(plan.games),
+      [STORE_EVENTS]: plan.events,
+      [STORE_TEAMS]:  plan.teams,
+      // Local settings win; only keys this phone has never set are taken
+      [STORE_META]:   data.meta.filter((m) => m.key !== META_SESSION && !haveMeta.has(m.key)),
+      // History comes only with games new to this phone, renumbered here
+      [STORE_JOURNAL]: (data.journal || [])
+        .filter((j) => plan.games.some((g) => g.game_id === j.game_id))
+        .map(({ entry_id, ...entry }) => entry),
+    };
+  }
+
+  try {
+    await dbImport(records, replace);
+  } catch (err) {
+    console.warn('Restore failed', err);
+    showToast('Restore failed — nothing was changed');
+    return;
+  }
+  // A merge can add events to games already here; their counts move on
+  if (!replace) {
+    const grown = new Set(plan.events.map((e) => e.game_id).filter((id) => !plan.games.some((g) => g.game_id === id)));
+    await Promise.all([...grown].map(refreshGameSummary));
+  }
+
+  closeSheet();
+  await loadTeamProfiles();
+  await loadMatchFormat();
+  await loadEventTypes();
+  buildEventGrid();
+  showToast(replace ? 'Backup restored' : `Merged ${records[STORE_GAMES].length} games`);
+}
+
+
+/* ─────────────────────────────────────────────
+   BOTTOM SHEET (shared modal)
+   openSheet() fills #sheet and returns its body element so callers can
+   wire up their own controls. Tapping the backdrop closes it.
+───────────────────────────────────────────── */
+
+function openSheet(title, html) {
+  document.getElementById('sheet-title').textContent = title;
+  const body = document.getElementById('sheet-body');
+  body.innerHTML = html;
+  document.getElementById('sheet').classList.remove('hidden');
+  return body;
+}
+
+function closeSheet() {
+  document.getElementById('sheet').classList.add('hidden');
+  document.getElementById('sheet-body').innerHTML = '';
+}
+
 
 /* ─────────────────────────────────────────────
    EVENT GRID BUILDER
-   Runs once on init; buttons are reused throughout the session.
+   Runs on init and again whenever a game enters the logging screen,
+   so button text always reflects that game's team profile.
 ───────────────────────────────────────────── */
 
 function buildEventGrid() {
   const grid = document.getElementById('event-grid');
+  const team = gameTeam();
   grid.innerHTML = '';
 
-  EVENT_TYPES.forEach(({ code, label, isGoal }) => {
+  visibleEventTypes().forEach(({ code, name, isGoal }) => {
     const row = document.createElement('div');
     // event-row-{code} is a CSS-only hook used by tally colour selectors.
     // No logic depends on it — safe to add/remove without side effects.
@@ -226,7 +1215,7 @@ function buildEventGrid() {
     lbl.className = 'event-row-label';
 
     const lblText = document.createElement('span');
-    lblText.textContent = label;
+    lblText.textContent = name.toUpperCase();
 
     // Tally span: updated by updateTallies() after every log/undo
     const tally = document.createElement('span');
@@ -241,8 +1230,9 @@ function buildEventGrid() {
     const btnPFC = document.createElement('button');
     btnPFC.className        = 'btn-event btn-pfc';
     btnPFC.dataset.code     = `${code}_PFC`;
-    btnPFC.textContent      = 'PFC';
-    btnPFC.setAttribute('aria-label', EVENT_DISPLAY[`${code}_PFC`]);
+    btnPFC.textContent      = team.short;
+    btnPFC.setAttribute('aria-label', eventDisplay(`${code}_PFC`, team));
+    attachLongPress(btnPFC, () => logEvent(`${code}_PFC`, { annotate: true }));
     btnPFC.addEventListener('click', () => logEvent(`${code}_PFC`));
 
     // OPP button
@@ -250,7 +1240,8 @@ function buildEventGrid() {
     btnOPP.className        = 'btn-event btn-opp';
     btnOPP.dataset.code     = `${code}_OPP`;
     btnOPP.textContent      = 'OPP';
-    btnOPP.setAttribute('aria-label', EVENT_DISPLAY[`${code}_OPP`]);
+    btnOPP.setAttribute('aria-label', eventDisplay(`${code}_OPP`, team));
+    attachLongPress(btnOPP, () => logEvent(`${code}_OPP`, { annotate: true }));
     btnOPP.addEventListener('click', () => logEvent(`${code}_OPP`));
 
     row.appendChild(lbl);
@@ -269,10 +1260,37 @@ function attachListeners() {
   // Setup screen
   document.getElementById('btn-start').addEventListener('click', startGame);
   document.getElementById('btn-view-games').addEventListener('click', viewSavedGames);
+  document.getElementById('input-team').addEventListener('change', onTeamPicked);
+  document.getElementById('btn-view-teams').addEventListener('click', viewTeams);
+  document.getElementById('btn-view-settings').addEventListener('click', viewSettings);
+  ['format-periods', 'format-minutes', 'format-extra', 'format-extra-minutes', 'format-clock'].forEach((id) => {
+    document.getElementById(id).addEventListener('change', onFormatChanged);
+  });
+
+  // Settings screen
+  document.getElementById('btn-back-from-settings').addEventListener('click', showSetupScreen);
+  document.getElementById('btn-add-type').addEventListener('click', addEventType);
+  document.getElementById('btn-backup').addEventListener('click', exportBackup);
+  document.getElementById('btn-restore').addEventListener('click', () =>
+    document.getElementById('input-restore').click());
+  document.getElementById('input-restore').addEventListener('change', onBackupFilePicked);
+
+  // Teams screen
+  document.getElementById('btn-back-from-teams').addEventListener('click', showSetupScreen);
+  document.getElementById('btn-new-team').addEventListener('click', () => openTeamEditor());
+
+  // Shared bottom sheet: tap outside the panel to dismiss
+  document.getElementById('sheet').addEventListener('click', (e) => {
+    if (e.target.id === 'sheet') closeSheet();
+  });
 
   // Logging screen
   document.getElementById('btn-undo').addEventListener('click', undoLastEvent);
-  document.getElementById('btn-half2').addEventListener('click', startHalf2);
+  document.getElementById('btn-redo').addEventListener('click', redoLastUndo);
+  document.getElementById('history-panel').addEventListener('toggle', renderHistory);
+  document.getElementById('btn-pause').addEventListener('click', togglePause);
+  document.getElementById('btn-next-period').addEventListener('click', startNextPeriod);
+  document.getElementById('btn-shootout').addEventListener('click', openShootout);
   document.getElementById('btn-end-game').addEventListener('click', endGame);
 
   // Review screen
@@ -281,9 +1299,13 @@ function attachListeners() {
       if (!confirm('Start a new game? The current session will be saved.')) return;
       stopClock();
       releaseWakeLock();
+      closeCurrentPeriod();
+      dbPut(STORE_GAMES, currentGame)
+        .catch((err) => console.warn('Game save failed', err));
       gameActive = false;
+      clearSession();
     }
-    showScreen('setup');
+    showSetupScreen();
   });
 
   document.getElementById('btn-resume-logging').addEventListener('click', () => {
@@ -302,20 +1324,265 @@ function attachListeners() {
   // Export
   document.getElementById('btn-export-csv').addEventListener('click', exportCSV);
   document.getElementById('btn-export-text').addEventListener('click', exportText);
+  document.getElementById('btn-export-json').addEventListener('click', exportGameJSON);
+  document.getElementById('btn-merge-log').addEventListener('click', pickMergeFile);
+  document.getElementById('input-merge').addEventListener('change', onMergeFilePicked);
+  document.getElementById('btn-export-ffmeta').addEventListener('click', exportFFMetadata);
+  document.getElementById('btn-export-youtube').addEventListener('click', exportYouTubeChapters);
+  document.getElementById('btn-export-srt').addEventListener('click', exportSRT);
+  document.getElementById('btn-export-edl').addEventListener('click', exportEDL);
+  document.getElementById('btn-export-clips').addEventListener('click', openClipList);
+  document.getElementById('btn-export-xml').addEventListener('click', exportSportscodeXML);
 
   // Time adjust
   document.getElementById('btn-apply-adjust').addEventListener('click', applyTimeAdjust);
+  document.getElementById('btn-insert-event').addEventListener('click', () => openEventEditor(null));
+  document.getElementById('btn-toggle-stats').addEventListener('click', toggleStatsView);
+  document.getElementById('filter-highlight').addEventListener('click', toggleHighlightsOnly);
+  document.getElementById('btn-timeline-reset').addEventListener('click', resetTimelineZoom);
+  document.getElementById('btn-timeline-png').addEventListener('click', exportTimelinePNG);
+  attachTimelineGestures();
+
+  // Video sync
+  document.getElementById('btn-sync-pick').addEventListener('click', toggleSyncPicking);
+  document.getElementById('btn-sync-preview').addEventListener('click', previewVideoSync);
+  document.getElementById('btn-sync-apply').addEventListener('click', applyVideoSync);
+  document.getElementById('btn-sync-revert').addEventListener('click', revertVideoSync);
 
   // Saved games screen
-  document.getElementById('btn-back-from-games').addEventListener('click', () => showScreen('setup'));
-  document.getElementById('btn-new-game-from-list').addEventListener('click', () => showScreen('setup'));
+  document.getElementById('btn-back-from-games').addEventListener('click', showSetupScreen);
+  document.getElementById('btn-new-game-from-list').addEventListener('click', showSetupScreen);
+  document.getElementById('btn-import-game').addEventListener('click', pickImportFile);
+  document.getElementById('input-import').addEventListener('change', onImportFilePicked);
+  document.getElementById('btn-view-season').addEventListener('click', viewSeason);
+  document.getElementById('games-search').addEventListener('input', renderSavedGames);
+  ['games-opponent', 'games-competition', 'games-venue', 'games-home-away',
+   'games-status', 'games-from', 'games-to'].forEach((id) => {
+    document.getElementById(id).addEventListener('change', renderSavedGames);
+  });
 
-  // Re-acquire wake lock if the app comes back into view while a game is live
+  // Season screen
+  document.getElementById('btn-back-from-season').addEventListener('click', viewSavedGames);
+  document.getElementById('btn-export-season').addEventListener('click', exportSeasonCSV);
+  ['season-from', 'season-to', 'season-opponent'].forEach((id) => {
+    document.getElementById(id).addEventListener('change', renderSeason);
+  });
+
+  // Re-acquire wake lock if the app comes back into view while a game is live.
+  // Going to the background is the last reliable moment before iOS may kill
+  // the PWA, so snapshot the session then.
   document.addEventListener('visibilitychange', () => {
     if (document.visibilityState === 'visible' && gameActive) {
       requestWakeLock();
     }
+    if (document.visibilityState === 'hidden' && gameActive) {
+      saveSession();
+    }
+  });
+}
+
+
+/* ─────────────────────────────────────────────
+   MATCH FORMAT
+   { periods, period_minutes, extra_periods, extra_minutes, countdown },
+   picked on setup and copied onto the game as `format`. An event's `half`
+   is its period number: 1…periods for regular time, then periods + 1…
+   for extra time. Every period label goes through periodShort() /
+   periodName() so halves, quarters and extra time read naturally.
+───────────────────────────────────────────── */
+
+/** The format a game was played to (setup's choice when there's no game) */
+function gameFormat(game = currentGame) {
+  if (!game) return matchFormat;
+  return game.format || DEFAULT_MATCH_FORMAT;
+}
+
+/** Fill in and clamp a stored or typed-in format */
+function normaliseFormat(f = {}) {
+  const int = (v, min, max, fallback) => {
+    const n = parseInt(v, 10);
+    return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+  };
+  return {
+    periods:        int(f.periods,        1, 6,  DEFAULT_MATCH_FORMAT.periods),
+    period_minutes: int(f.period_minutes, 1, 90, DEFAULT_MATCH_FORMAT.period_minutes),
+    extra_periods:  int(f.extra_periods,  0, 2,  DEFAULT_MATCH_FORMAT.extra_periods),
+    extra_minutes:  int(f.extra_minutes,  1, 30, DEFAULT_MATCH_FORMAT.extra_minutes),
+    countdown:      !!f.countdown,
+  };
+}
+
+/** Regular plus extra-time periods */
+function periodCount(format = gameFormat()) {
+  return format.periods + format.extra_periods;
+}
+
+function isExtraTime(half, format = gameFormat()) {
+  return half > format.periods;
+}
+
+/** Nominal length of a period in seconds */
+function periodSeconds(half, format = gameFormat()) {
+  return (isExtraTime(half, format) ? format.extra_minutes : format.period_minutes) * 60;
+}
+
+/** Short label: H1 for halves, Q3 for quarters, P2 otherwise, ET1 for extra time */
+function periodShort(half, format = gameFormat()) {
+  if (isExtraTime(half, format)) return `ET${half - format.periods}`;
+  if (format.periods === 2) return `H${half}`;
+  if (format.periods === 4) return `Q${half}`;
+  return `P${half}`;
+}
+
+/** Long label: "Half 1", "Quarter 3", "Period 2", "Extra Time 1" */
+function periodName(half, format = gameFormat()) {
+  if (isExtraTime(half, format)) return `Extra Time ${half - format.periods}`;
+  if (format.periods === 2) return `Half ${half}`;
+  if (format.periods === 4) return `Quarter ${half}`;
+  return `Period ${half}`;
+}
+
+/** Inverse of periodShort(); null if the label doesn't fit the format */
+function periodFromShort(label, format = gameFormat()) {
+  const m = /^(H|Q|P|ET)(\d+)$/i.exec(String(label).trim());
+  if (!m) return null;
+  const n = Number(m[2]);
+  return m[1].toUpperCase() === 'ET' ? format.periods + n : n;
+}
+
+/**
+ * Stoppage time. Football reports count minutes across the whole match
+ * and write time past a period's nominal end as "35+2'" (the 2nd minute
+ * of added time in a 35-minute half; "70+2'" in the second half). Only
+ * games with a recorded format have a nominal length to be past.
+ */
+
+/** Nominal length of a period in seconds, or null for games without a format */
+function nominalSeconds(half, game = currentGame) {
+  return game && game.format ? periodSeconds(half, game.format) : null;
+}
+
+/** Match minute at which a period starts: the nominal minutes before it */
+function periodStartMinute(half, format = gameFormat()) {
+  let minutes = 0;
+  for (let h = 1; h < half; h++) minutes += periodSeconds(h, format) / 60;
+  return minutes;
+}
+
+/** Seconds past the period's nominal end; 0 in regular time */
+function addedTimeSeconds(half, t) {
+  const nominal = nominalSeconds(half);
+  return nominal === null ? 0 : Math.max(0, t - nominal);
+}
+
+/**
+ * Whole-match minute as reports number it ("12'" = 11:00–11:59 played),
+ * capped at the period's last minute while in added time. Games without
+ * a format fall back to their game_seconds.
+ */
+function matchMinute(half, t, gameSeconds) {
+  const nominal = nominalSeconds(half);
+  if (nominal === null) return Math.floor(gameSeconds / 60) + 1;
+  return periodStartMinute(half) + Math.min(Math.floor(t / 60) + 1, nominal / 60);
+}
+
+/** An event's time for people: mm:ss in regular time, "35+2'" in added time */
+function formatEventTime(half, t) {
+  const nominal = nominalSeconds(half);
+  if (nominal === null || t < nominal) return formatTime(t);
+  return `${periodStartMinute(half) + nominal / 60}+${Math.floor((t - nominal) / 60) + 1}'`;
+}
+
+/** "2 × 35′", "4 × 12′ + ET 2 × 5′" */
+function formatSummary(format = gameFormat()) {
+  const regular = `${format.periods} × ${format.period_minutes}′`;
+  const extra   = format.extra_periods ? ` + ET ${format.extra_periods} × ${format.extra_minutes}′` : '';
+  return regular + extra;
+}
+
+async function loadMatchFormat() {
+  const saved = await dbGet(STORE_META, META_MATCH_FORMAT);
+  matchFormat = normaliseFormat(saved ? saved.value : DEFAULT_MATCH_FORMAT);
+  renderFormatInputs();
+}
+
+/** Write matchFormat into the setup inputs and their summary line */
+function renderFormatInputs() {
+  document.getElementById('format-periods').value       = matchFormat.periods;
+  document.getElementById('format-minutes').value       = matchFormat.period_minutes;
+  document.getElementById('format-extra').value         = matchFormat.extra_periods;
+  document.getElementById('format-extra-minutes').value = matchFormat.extra_minutes;
+  document.getElementById('format-clock').value         = matchFormat.countdown ? 'down' : 'up';
+  document.getElementById('format-extra-minutes').disabled = !matchFormat.extra_periods;
+  document.getElementById('format-summary').textContent =
+    formatSummary(matchFormat) + (matchFormat.countdown ? ' ↓' : '');
+  document.getElementById('btn-start').textContent =
+    `Tap at Kickoff — Start ${periodName(1, matchFormat)}`;
+}
+
+function onFormatChanged() {
+  matchFormat = normaliseFormat({
+    periods:        document.getElementById('format-periods').value,
+    period_minutes: document.getElementById('format-minutes').value,
+    extra_periods:  document.getElementById('format-extra').value,
+    extra_minutes:  document.getElementById('format-extra-minutes').value,
+    countdown:      document.getElementById('format-clock').value === 'down',
   });
+  renderFormatInputs();
+  dbPut(STORE_META, { key: META_MATCH_FORMAT, value: matchFormat });
+}
+
+
+/* ─────────────────────────────────────────────
+   GAME DETAILS
+   Optional match metadata stored flat on the game record. One field
+   list drives the setup panel, the game editor sheet, the review
+   header, the text export header and the CSV columns.
+───────────────────────────────────────────── */
+
+const GAME_DETAIL_FIELDS = [
+  { key: 'competition',  label: 'Competition', placeholder: 'e.g. League Cup' },
+  { key: 'venue',        label: 'Venue',       placeholder: 'e.g. Riverside Park' },
+  { key: 'home_away',    label: 'Home/Away',   options: ['home', 'away', 'neutral'] },
+  { key: 'kickoff_time', label: 'Kickoff',     type: 'time' },
+  { key: 'pitch',        label: 'Pitch',       placeholder: 'e.g. 3G, wet grass' },
+  { key: 'weather',      label: 'Weather',     placeholder: 'e.g. Windy, 8°C' },
+  { key: 'notes',        label: 'Notes',       textarea: true },
+];
+
+/** Inputs for every detail field, ids `${prefix}-${key}`, filled from game */
+function gameDetailInputs(prefix, game = {}) {
+  return GAME_DETAIL_FIELDS.map((f) => {
+    const id    = `${prefix}-${f.key.replace(/_/g, '-')}`;
+    const value = game[f.key] || '';
+    let input;
+    if (f.options) {
+      input = `<select class="field-input" id="${id}">
+          <option value="">—</option>
+          ${f.options.map((o) => `<option value="${o}"${o === value ? ' selected' : ''}>${o[0].toUpperCase() + o.slice(1)}</option>`).join('')}
+        </select>`;
+    } else if (f.textarea) {
+      input = `<textarea class="field-input" id="${id}" rows="3">${esc(value)}</textarea>`;
+    } else {
+      input = `<input class="field-input" type="${f.type || 'text'}" id="${id}" value="${esc(value)}"
+               placeholder="${esc(f.placeholder || '')}" autocomplete="off" autocapitalize="words">`;
+    }
+    return `<label class="format-field${f.textarea ? ' format-wide' : ''}">${f.label}${input}</label>`;
+  }).join('');
+}
+
+/** { key: trimmed value } for every detail field; empty fields are '' */
+function readGameDetails(root, prefix) {
+  return Object.fromEntries(GAME_DETAIL_FIELDS.map((f) => [
+    f.key, root.querySelector(`#${prefix}-${f.key.replace(/_/g, '-')}`).value.trim(),
+  ]));
+}
+
+/** [{ label, value }] for the details a game actually has, notes last */
+function gameDetailEntries(game) {
+  return GAME_DETAIL_FIELDS
+    .filter((f) => game[f.key])
+    .map((f) => ({ key: f.key, label: f.label, value: f.options ? game[f.key].toUpperCase() : game[f.key] }));
 }
 
 
@@ -326,53 +1593,81 @@ function attachListeners() {
 async function startGame() {
   const opponent   = document.getElementById('input-opponent').value.trim() || 'Unknown';
   const loggerName = document.getElementById('input-logger').value.trim()   || 'Logger 1';
+  const { team_id, name, short, color, players = [] } = selectedTeamProfile();
 
   currentGame = {
     game_id:     `game_${Date.now()}`,
     date:        new Date().toISOString(),
     opponent,
     logger_name: loggerName,
+    team:        { team_id, name, short, color, players },
+    format:      { ...matchFormat },
+    periods:     [],
+    ...readGameDetails(document, 'input'),
   };
-
-  await dbPut(STORE_GAMES, currentGame);
+  currentGame.summary = gameRecordSummary(currentGame, []);
+  // Details describe this game only: the next one starts with blank fields
+  document.getElementById('setup-details').innerHTML = gameDetailInputs('input');
 
   // Reset session state
   currentEvents = [];
+  shootoutKicks = [];
+  redoStack     = [];
   currentHalf   = 1;
   clockSeconds  = 0;
   gameActive    = true;
 
-  // Reset UI
-  document.getElementById('half-indicator').textContent   = 'HALF 1';
-  document.getElementById('header-opponent').textContent  = `vs ${opponent}`;
-  document.getElementById('half2-cta').classList.add('hidden');
-  document.getElementById('btn-end-game').classList.add('hidden');
+  beginHalf(1);
+  await dbPut(STORE_GAMES, currentGame);
+  journal('start', { half: 1 });
+
+  enterLoggingScreen();
+}
+
+/**
+ * Sync every piece of the logging screen to the current session state and
+ * start the clock. Shared by startGame() and resumeSession(), so a resumed
+ * game is rebuilt by exactly the same code that drew it the first time.
+ */
+function enterLoggingScreen() {
+  applyTeamTheme(gameTeam());
+  buildEventGrid();
+  document.getElementById('header-opponent').textContent  = `vs ${currentGame.opponent}`;
   document.getElementById('btn-resume-logging').classList.add('hidden');
+  updatePeriodControls();
 
   // Set scoreboard opponent label (truncated for the narrow HUD column)
   document.getElementById('score-opp-name').textContent =
-    (opponent || 'OPP').slice(0, 8).toUpperCase();
-  updateScoreboard();  // currentEvents is [] here, so displays 0 – 0
-  updateTallies();     // reset all tallies to 0:0
+    (currentGame.opponent || 'OPP').slice(0, 8).toUpperCase();
+  updateScoreboard();
+  updateTallies();
 
-  updateClock();
   updateRecentEvents();
+  updatePauseButton();
+  updateRedoButton();
   startClock();
   requestWakeLock();
+  saveSession();
   showScreen('logging');
 }
 
 
 /* ─────────────────────────────────────────────
    CLOCK
+   Elapsed time is always derived from wall-clock timestamps stored on
+   the game record (currentGame.periods), never accumulated tick by tick.
+   Throttled timers, a locked screen or an app restart therefore cannot
+   make the clock drift — the interval below only repaints.
+
+   periods: [{ half, started_at, ended_at, pauses: [{ start, end }] }]
+   All times are epoch ms; an open pause or running half has end null.
 ───────────────────────────────────────────── */
 
 function startClock() {
   stopClock(); // Prevent double-interval
-  clockInterval = setInterval(() => {
-    clockSeconds++;
-    updateClock();
-  }, 1000);
+  updateClock();
+  // Sub-second repaint so the display never visibly skips a second
+  clockInterval = setInterval(updateClock, 250);
 }
 
 function stopClock() {
@@ -383,7 +1678,88 @@ function stopClock() {
 }
 
 function updateClock() {
-  document.getElementById('clock').textContent = formatTime(clockSeconds);
+  clockSeconds = computeClockSeconds();
+  const el      = document.getElementById('clock');
+  const nominal = periodSeconds(currentHalf);
+  const added   = !gameFormat().countdown && clockSeconds >= nominal;
+
+  if (gameFormat().countdown) {
+    el.textContent = formatCountdown(nominal - clockSeconds);
+  } else if (added) {
+    // Counting up past the nominal end: "35+01:12"
+    el.textContent = `${periodStartMinute(currentHalf) + nominal / 60}+${formatTime(clockSeconds - nominal)}`;
+  } else {
+    el.textContent = formatTime(clockSeconds);
+  }
+  el.classList.toggle('paused', isClockPaused());
+  el.classList.toggle('added-time', added);
+}
+
+/** Count-down display: time left, then "+mm:ss" once the period runs over */
+function formatCountdown(remaining) {
+  return remaining >= 0 ? formatTime(remaining) : `+${formatTime(-remaining)}`;
+}
+
+/** Timing record for the half in progress, or null if none was recorded */
+function currentPeriod() {
+  if (!currentGame || !currentGame.periods) return null;
+  return currentGame.periods.find((p) => p.half === currentHalf) || null;
+}
+
+/** Close the running half (and any open pause) and start timing a new one */
+function beginHalf(half, now = Date.now()) {
+  closeCurrentPeriod(now);
+  currentHalf = half;
+  currentGame.periods = (currentGame.periods || []).filter((p) => p.half !== half);
+  currentGame.periods.push({ half, started_at: now, ended_at: null, pauses: [] });
+}
+
+/** Stamp the end of the running half. Safe to call when nothing is running. */
+function closeCurrentPeriod(now = Date.now()) {
+  const period = currentPeriod();
+  if (!period || period.ended_at) return;
+  period.pauses.forEach((p) => { if (p.end === null) p.end = now; });
+  period.ended_at = now;
+}
+
+function isClockPaused() {
+  const period = currentPeriod();
+  return !!period && period.pauses.some((p) => p.end === null);
+}
+
+/** Seconds of play in the current half: wall time since kickoff minus stoppages */
+function computeClockSeconds(now = Date.now()) {
+  const period = currentPeriod();
+  if (!period) return clockSeconds;
+  return periodPlayedSeconds(period, now);
+}
+
+/** Seconds of play in a timing record, up to its end (or now if running) */
+function periodPlayedSeconds(period, now = Date.now()) {
+  const end    = period.ended_at ?? now;
+  const paused = period.pauses.reduce((sum, p) => sum + ((p.end ?? end) - p.start), 0);
+  return Math.max(0, Math.floor((end - period.started_at - paused) / 1000));
+}
+
+/** Stop or restart the match clock for injuries, weather delays etc. */
+async function togglePause() {
+  const period = currentPeriod();
+  if (!gameActive || !period) return;
+
+  const now  = Date.now();
+  const open = period.pauses.find((p) => p.end === null);
+  if (open) open.end = now;
+  else      period.pauses.push({ start: now, end: null });
+
+  updatePauseButton();
+  updateClock();
+  vibrate(30);
+  showToast(open ? 'CLOCK RESUMED' : 'CLOCK PAUSED');
+  await dbPut(STORE_GAMES, currentGame);
+}
+
+function updatePauseButton() {
+  document.getElementById('btn-pause').textContent = isClockPaused() ? '▶ RESUME' : '❚❚ PAUSE';
 }
 
 /** Convert integer seconds to mm:ss string */
@@ -429,7 +1805,7 @@ function updateTallies() {
   for (const e of currentEvents) {
     counts[e.event_code] = (counts[e.event_code] || 0) + 1;
   }
-  EVENT_TYPES.forEach(({ code }) => {
+  visibleEventTypes().forEach(({ code }) => {
     const pfc = counts[`${code}_PFC`] || 0;
     const opp = counts[`${code}_OPP`] || 0;
     const el  = document.getElementById(`tally-${code}`);
@@ -442,39 +1818,48 @@ function updateTallies() {
    EVENT LOGGING
 ───────────────────────────────────────────── */
 
-async function logEvent(eventCode) {
+/** annotate: open the note / highlight sheet instead of the player picker */
+async function logEvent(eventCode, { annotate = false } = {}) {
   if (!currentGame || !gameActive) return;
+  // Play is over once penalties begin; kicks are logged on the PENS sheet
+  if (currentGame.shootout) {
+    showToast('Shootout in progress — log kicks with PENS');
+    return;
+  }
 
   const event = {
     event_id:       `ev_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
     game_id:        currentGame.game_id,
     half:           currentHalf,
-    t_half_seconds: clockSeconds,
+    t_half_seconds: computeClockSeconds(),
     event_code:     eventCode,
+    player_id:      null,
     created_at:     new Date().toISOString(),
   };
 
   currentEvents.push(event);
-  await dbPut(STORE_EVENTS, event);
+  await saveGameEvents([event]);
+  journal('log', { event });
+  // A new event starts a new branch: what was undone can't come back
+  redoStack = [];
+  updateRedoButton();
 
   // Visual + haptic feedback
   flashButton(eventCode);
   vibrate();
 
   // Goals get a special full-screen flash
-  if (eventCode.startsWith('GOAL')) goalCelebration();
+  if (eventFamily(eventCode) === 'GOAL') goalCelebration();
 
   updateRecentEvents();
   updateScoreboard();
   updateTallies();
 
-  // Reveal half-transition buttons after first event
-  if (currentHalf === 1) {
-    document.getElementById('half2-cta').classList.remove('hidden');
-  }
-  if (currentHalf === 2) {
-    document.getElementById('btn-end-game').classList.remove('hidden');
-  }
+  // The first event of a period reveals the next-period button
+  updatePeriodControls();
+
+  if (annotate) openAnnotation(event);
+  else          maybePickPlayer(event);
 }
 
 /** Remove the most recently logged event */
@@ -485,15 +1870,76 @@ async function undoLastEvent() {
   }
 
   const last = currentEvents.pop();
-  await dbDelete(STORE_EVENTS, last.event_id);
+  await saveGameEvents([], [last]);
+  redoStack.push(last);
+  journal('undo', { event: last });
 
   updateRecentEvents();
   updateScoreboard();
   updateTallies();
+  updatePeriodControls();
+  updateRedoButton();
   vibrate(30);
   showToast('Event removed');
 }
 
+/** Put back the event the last UNDO took, exactly as it was logged */
+async function redoLastUndo() {
+  if (!redoStack.length) {
+    showToast('Nothing to redo');
+    return;
+  }
+
+  const event = redoStack.pop();
+  currentEvents.push(event);
+  sortEvents(currentEvents);
+  await saveGameEvents([event]);
+  journal('redo', { event });
+
+  updateRecentEvents();
+  updateScoreboard();
+  updateTallies();
+  updatePeriodControls();
+  updateRedoButton();
+  vibrate(30);
+  showToast('Event restored');
+}
+
+function updateRedoButton() {
+  document.getElementById('btn-redo').disabled = !redoStack.length;
+}
+
+/**
+ * Offer the one-tap roster picker for our events whose type asks for it.
+ * The event is already saved with player_id null, so skipping (SKIP or a
+ * tap on the backdrop) costs nothing and the logged time is the tap time.
+ */
+function maybePickPlayer(event) {
+  const type    = eventType(eventFamily(event.event_code));
+  const players = gameTeam().players || [];
+  if (!type || !type.pickPlayer || !isOurEvent(event.event_code) || !players.length) return;
+
+  const body = openSheet(`WHO? — ${type.name.toUpperCase()}`, `
+    <div class="player-grid">
+      ${players.map((p) => `
+        <button class="btn-player" data-id="${esc(p.player_id)}">
+          <span class="bp-num">${p.number !== '' ? esc(p.number) : '–'}</span>
+          <span class="bp-name">${esc(p.name)}</span>
+        </button>`).join('')}
+    </div>
+    <button id="player-skip" class="btn-ghost">SKIP</button>`);
+
+  body.querySelectorAll('.btn-player').forEach((btn) => {
+    btn.addEventListener('click', async () => {
+      event.player_id = btn.dataset.id;
+      closeSheet();
+      updateRecentEvents();
+      await saveGameEvents([event]);
+    });
+  });
+  body.querySelector('#player-skip').addEventListener('click', closeSheet);
+}
+
 /** Briefly fill a button with its team colour */
 function flashButton(eventCode) {
   const btn = document.querySelector(`[data-code="${eventCode}"]`);
@@ -524,6 +1970,80 @@ function vibrate(pattern = 45) {
 }
 
 
+/* ─────────────────────────────────────────────
+   ACTION JOURNAL
+   Every log, undo, redo, period change, edit and time adjustment is
+   appended to STORE_JOURNAL as { game_id, at, action, … } — an audit
+   trail of how the log came to be, shown under HISTORY on review. It
+   also rebuilds the redo stack when a session is resumed.
+───────────────────────────────────────────── */
+
+const JOURNAL_LABELS = {
+  start:  'Kickoff',
+  log:    'Logged',
+  undo:   'Undone',
+  redo:   'Redone',
+  period: 'Period started',
+  end:    'Game ended',
+  edit:   'Edited',
+  insert: 'Inserted',
+  delete: 'Deleted',
+  adjust: 'Times adjusted',
+  sync:   'Synced to video',
+  revert: 'Logged times restored',
+};
+
+/** Append an entry for the current game. Fire-and-forget: a failed write
+ *  is only logged, it never gets in the way of logging the match. */
+function journal(action, fields = {}) {
+  if (!currentGame) return Promise.resolve();
+  return dbPut(STORE_JOURNAL, { game_id: currentGame.game_id, at: new Date().toISOString(), action, ...fields })
+    .catch((err) => console.warn('Journal write failed', err));
+}
+
+/** Replay undo / redo entries: what REDO could still bring back */
+function redoStackFromJournal(entries, events) {
+  let stack = [];
+  entries.forEach((entry) => {
+    if (entry.action === 'log')  stack = [];
+    if (entry.action === 'undo') stack.push(entry.event);
+    if (entry.action === 'redo') stack.pop();
+  });
+  // Anything since put back by hand (the editor) is no longer undone
+  const present = new Set(events.map((e) => e.event_id));
+  return stack.filter((e) => !present.has(e.event_id));
+}
+
+function journalEntryText(entry) {
+  const e = entry.event;
+  if (e) return `${periodShort(e.half)} ${formatEventTime(e.half, e.t_half_seconds)} ${eventDisplay(e.event_code)}`;
+  if (entry.half) return periodName(entry.half);
+  if (entry.adjust) {
+    return Object.entries(entry.adjust)
+      .filter(([, adj]) => adj)
+      .map(([half, adj]) => `${periodShort(Number(half))} ${adj > 0 ? '+' : '−'}${Math.abs(adj)}s`)
+      .join(' · ');
+  }
+  return '';
+}
+
+/** Fill the review HISTORY panel when it is opened */
+async function renderHistory() {
+  const panel = document.getElementById('history-panel');
+  if (!panel.open || !currentGame) return;
+
+  const entries = await dbGetByGame(STORE_JOURNAL, currentGame.game_id);
+  document.getElementById('history-list').innerHTML = entries.length
+    ? entries.slice().reverse().map((entry) => `
+      <div class="history-item history-${esc(entry.action)}">
+        <span class="hi-at">${esc(new Date(entry.at).toLocaleTimeString())}</span>
+        <span class="hi-action">${esc(JOURNAL_LABELS[entry.action] || entry.action)}</span>
+        <span class="hi-text">${esc(journalEntryText(entry))}</span>
+      </div>`).join('')
+    : '<div class="adjust-hint">No history recorded for this game</div>';
+}
+
+
 /* ─────────────────────────────────────────────
    RECENT EVENTS DISPLAY (last 3 in footer)
 ───────────────────────────────────────────── */
@@ -540,38 +2060,157 @@ function updateRecentEvents() {
   container.innerHTML = last3.map((e) => {
     const cls = EVENT_CLASS(e.event_code);
     return `
-      <div class="recent-event ${cls.replace('ev-', 're-')}">
-        <span class="re-half">H${e.half}</span>
-        <span class="re-time">${formatTime(e.t_half_seconds)}</span>
-        <span class="re-label">${EVENT_DISPLAY[e.event_code] || e.event_code}</span>
+      <div class="recent-event ${cls.replace('ev-', 're-')}" data-id="${esc(e.event_id)}">
+        <span class="re-half">${periodShort(e.half)}</span>
+        <span class="re-time">${formatEventTime(e.half, e.t_half_seconds)}</span>
+        <span class="re-label">${e.highlight ? '★ ' : ''}${esc(eventDisplayWithPlayer(e))}</span>
       </div>`;
   }).join('');
+
+  // Long-press a recent event to star it or add a note
+  container.querySelectorAll('.recent-event').forEach((item) => {
+    attachLongPress(item, () => openAnnotation(currentEvents.find((e) => e.event_id === item.dataset.id)));
+  });
 }
 
 
 /* ─────────────────────────────────────────────
-   HALF TRANSITIONS
+   ANNOTATIONS
+   A long-press on an event button logs the event and opens this sheet;
+   on a recent event it opens it for that event. Events carry an optional
+   note (short text) and highlight (true) — both left off when unset.
 ───────────────────────────────────────────── */
 
-function startHalf2() {
-  stopClock();
-  currentHalf  = 2;
-  clockSeconds = 0;
+const LONG_PRESS_MS   = 500;
+const NOTE_MAX_LENGTH = 120;
 
-  document.getElementById('half-indicator').textContent = 'HALF 2';
-  document.getElementById('half2-cta').classList.add('hidden');
-  document.getElementById('btn-end-game').classList.remove('hidden');
+/**
+ * Call onLongPress after LONG_PRESS_MS of holding el. Attach before el's
+ * own click listener: the click that ends a long press is swallowed.
+ */
+function attachLongPress(el, onLongPress) {
+  let timer = null;
+  let fired = false;
+  const cancel = () => { clearTimeout(timer); timer = null; };
+
+  el.addEventListener('pointerdown', () => {
+    cancel();
+    fired = false;
+    timer = setTimeout(() => {
+      timer = null;
+      fired = true;
+      onLongPress();
+    }, LONG_PRESS_MS);
+  });
+  ['pointerup', 'pointerleave', 'pointercancel'].forEach((type) => el.addEventListener(type, cancel));
+  el.addEventListener('click', (e) => {
+    if (!fired) return;
+    fired = false;
+    e.stopImmediatePropagation();
+  });
+  // Mobile browsers would otherwise open their own long-press menu
+  el.addEventListener('contextmenu', (e) => e.preventDefault());
+}
 
-  updateClock();
+/** Set or clear an event's note and highlight flag in place */
+function setAnnotation(event, note, highlight) {
+  if (note)      event.note = note;
+  else           delete event.note;
+  if (highlight) event.highlight = true;
+  else           delete event.highlight;
+  return event;
+}
+
+function openAnnotation(event) {
+  if (!event) return;
+  let starred = !!event.highlight;
+
+  const body = openSheet(`${periodShort(event.half)} ${formatEventTime(event.half, event.t_half_seconds)} ${eventDisplayWithPlayer(event).toUpperCase()}`, `
+    <button id="note-star" class="btn-secondary btn-star${starred ? ' on' : ''}" aria-pressed="${starred}">★ HIGHLIGHT</button>
+    <div class="field-group">
+      <label class="field-label" for="note-text">NOTE</label>
+      <input class="field-input" type="text" id="note-text" value="${esc(event.note || '')}"
+             maxlength="${NOTE_MAX_LENGTH}" placeholder="e.g. great save, check video" autocomplete="off">
+    </div>
+    <div class="sheet-actions">
+      <button id="note-cancel" class="btn-ghost">CANCEL</button>
+      <button id="note-save"   class="btn-secondary">SAVE</button>
+    </div>`);
+
+  const star = body.querySelector('#note-star');
+  star.addEventListener('click', () => {
+    starred = !starred;
+    star.classList.toggle('on', starred);
+    star.setAttribute('aria-pressed', starred);
+  });
+  body.querySelector('#note-cancel').addEventListener('click', closeSheet);
+  body.querySelector('#note-save').addEventListener('click', async () => {
+    const before = { ...event };
+    setAnnotation(event, body.querySelector('#note-text').value.trim(), starred);
+    await saveGameEvents([event]);
+    journal('edit', { event: { ...event }, before });
+    closeSheet();
+    refreshAfterEventEdit();
+    showToast(event.note || event.highlight ? 'Note saved' : 'Note cleared');
+  });
+}
+
+
+/* ─────────────────────────────────────────────
+   PERIOD TRANSITIONS
+   The next-period CTA appears once the running period has an event and
+   there is a period left in the format (extra time included). END
+   appears from the last regular period on, so a match can finish without
+   playing its optional extra time. PENS waits for the extra time to be
+   played, when the format has it.
+───────────────────────────────────────────── */
+
+function updatePeriodControls() {
+  const format = gameFormat();
+  const next   = currentHalf + 1;
+  const logged = currentEvents.some((e) => e.half === currentHalf);
+
+  document.getElementById('half-indicator').textContent =
+    (format.periods === 2 && !isExtraTime(currentHalf) ? periodName(currentHalf) : periodShort(currentHalf)).toUpperCase();
+  document.getElementById('btn-next-period').textContent =
+    `Tap at ${periodShort(next)} Kickoff — Start ${periodName(next)}`;
+  document.getElementById('next-period-cta').classList.toggle('hidden',
+    !(logged && next <= periodCount()) || !!currentGame.shootout);
+  document.getElementById('btn-end-game').classList.toggle('hidden', currentHalf < format.periods);
+
+  // Penalties: once the final period is reached (extra time may be skipped),
+  // while level (or once begun)
+  const [pfc, opp] = matchScore();
+  document.getElementById('btn-shootout').classList.toggle('hidden',
+    currentHalf < format.periods || !(currentGame.shootout || pfc === opp));
+}
+
+function startNextPeriod() {
+  if (currentHalf >= periodCount() || currentGame.shootout) return;
+
+  stopClock();
+  beginHalf(currentHalf + 1);
+  dbPut(STORE_GAMES, currentGame)
+    .catch((err) => console.warn('Game save failed', err));
+  journal('period', { half: currentHalf });
+
+  updatePeriodControls();
+  updatePauseButton();
   updateRecentEvents();
   startClock();
-  showToast('HALF 2 STARTED');
+  saveSession();
+  showToast(`${periodName(currentHalf).toUpperCase()} STARTED`);
 }
 
 function endGame() {
   stopClock();
   releaseWakeLock();
+  closeCurrentPeriod();
+  dbPut(STORE_GAMES, currentGame)
+    .catch((err) => console.warn('Game save failed', err));
+  journal('end');
   gameActive = false;
+  clearSession();
 
   // Show resume button on review so user can go back if needed
   document.getElementById('btn-resume-logging').classList.remove('hidden');
@@ -581,6 +2220,255 @@ function endGame() {
 }
 
 
+/* ─────────────────────────────────────────────
+   PENALTY SHOOTOUT
+   Kicks are stored as events of their own — event_code PSO_PFC / PSO_OPP,
+   outcome 'scored' | 'missed' | 'saved', kick = 1, 2, 3… — but kept in
+   shootoutKicks rather than currentEvents, so they never count towards
+   the match score, tallies, game_seconds or video chapters. They carry
+   half SHOOTOUT_HALF because they belong to no period. Sides alternate
+   from currentGame.shootout.first; five kicks each, then sudden death.
+───────────────────────────────────────────── */
+
+const SHOOTOUT_CODE   = 'PSO';
+const SHOOTOUT_HALF   = 0;
+const SHOOTOUT_ROUNDS = 5;
+const SHOOTOUT_OUTCOMES = [['scored', 'SCORED'], ['missed', 'MISSED'], ['saved', 'SAVED']];
+// Kicks have no event type of their own: how exports name them
+const SHOOTOUT_EXPORT_TYPE = { slug: 'penalty', name: 'Penalty' };
+
+function isShootoutEvent(e) {
+  return eventFamily(e.event_code) === SHOOTOUT_CODE;
+}
+
+/** Load a game's events, splitting off the shootout kicks */
+function setGameEvents(events) {
+  currentEvents = sortEvents(events.filter((e) => !isShootoutEvent(e)));
+  shootoutKicks = events.filter(isShootoutEvent).sort((a, b) => a.kick - b.kick);
+}
+
+/** [ours, theirs] goals in the match itself, shootout excluded */
+function matchScore(events = currentEvents) {
+  return [
+    events.filter((e) => e.event_code === 'GOAL_PFC').length,
+    events.filter((e) => e.event_code === 'GOAL_OPP').length,
+  ];
+}
+
+/**
+ * Where the shootout stands: kicks taken and scored per side, whose kick
+ * is next and the winner once decided. Within the first five rounds a
+ * side wins when the other can't catch up with the kicks it has left;
+ * after that, when a sudden-death round ends with the sides apart.
+ */
+function shootoutState(kicks = shootoutKicks, first = currentGame.shootout ? currentGame.shootout.first : 'PFC') {
+  const taken  = { PFC: 0, OPP: 0 };
+  const scored = { PFC: 0, OPP: 0 };
+  kicks.forEach((k) => {
+    const side = isOurEvent(k.event_code) ? 'PFC' : 'OPP';
+    taken[side]++;
+    if (k.outcome === 'scored') scored[side]++;
+  });
+
+  let winner = null;
+  if (taken.PFC <= SHOOTOUT_ROUNDS && taken.OPP <= SHOOTOUT_ROUNDS) {
+    const left = (side) => SHOOTOUT_ROUNDS - taken[side];
+    if      (scored.PFC > scored.OPP + left('OPP')) winner = 'PFC';
+    else if (scored.OPP > scored.PFC + left('PFC')) winner = 'OPP';
+  }
+  if (!winner && taken.PFC === taken.OPP && taken.PFC >= SHOOTOUT_ROUNDS && scored.PFC !== scored.OPP) {
+    winner = scored.PFC > scored.OPP ? 'PFC' : 'OPP';
+  }
+
+  const second = first === 'PFC' ? 'OPP' : 'PFC';
+  return { taken, scored, winner, next: kicks.length % 2 === 0 ? first : second };
+}
+
+/** Kick marks for one side: ● scored, ✕ missed, ○ saved */
+function shootoutMarks(side, kicks = shootoutKicks) {
+  const mark = { scored: '●', missed: '✕', saved: '○' };
+  return kicks
+    .filter((k) => isOurEvent(k.event_code) === (side === 'PFC'))
+    .map((k) => `<span class="pso-mark pso-${k.outcome}">${mark[k.outcome]}</span>`)
+    .join('');
+}
+
+/** "Riverside 4 – 3 City FC on penalties", or '' without a shootout */
+function shootoutSummary(kicks = shootoutKicks) {
+  if (!kicks.length) return '';
+  const { scored } = shootoutState(kicks);
+  return `${gameTeam().name} ${scored.PFC} – ${scored.OPP} ${currentGame.opponent} on penalties`;
+}
+
+/** "3. Riverside · #9 Sam — scored" */
+function shootoutKickLine(k) {
+  const side   = isOurEvent(k.event_code) ? gameTeam().name : currentGame.opponent;
+  const player = playerLabel(k.player_id);
+  return `${k.kick}. ${side}${player ? ` · ${player}` : ''} — ${k.outcome}`;
+}
+
+/** Footer PENS button: pick who kicks first once, then the kick sheet */
+function openShootout() {
+  if (!gameActive) return;
+  if (currentGame.shootout) { renderShootoutSheet(); return; }
+
+  const body = openSheet('PENALTY SHOOTOUT', `
+    <div class="adjust-hint">Who kicks first?</div>
+    <div class="sheet-actions">
+      <button class="btn-secondary" data-first="PFC">${esc(gameTeam().name)}</button>
+      <button class="btn-secondary" data-first="OPP">${esc(currentGame.opponent)}</button>
+    </div>`);
+
+  body.querySelectorAll('[data-first]').forEach((btn) => {
+    btn.addEventListener('click', async () => {
+      // Play is over: stop the last period's clock where it stands
+      closeCurrentPeriod();
+      stopClock();
+      updateClock();
+      currentGame.shootout = { first: btn.dataset.first };
+      await dbPut(STORE_GAMES, currentGame);
+      updatePeriodControls();
+      renderShootoutSheet();
+    });
+  });
+}
+
+function renderShootoutSheet() {
+  const team    = gameTeam();
+  const state   = shootoutState();
+  const players = team.players || [];
+  const pickKicker = !state.winner && state.next === 'PFC' && players.length;
+
+  const status = state.winner
+    ? `${state.winner === 'PFC' ? team.name : currentGame.opponent} win ${Math.max(state.scored.PFC, state.scored.OPP)}–${Math.min(state.scored.PFC, state.scored.OPP)} on penalties`
+    : `Kick ${shootoutKicks.length + 1}${state.taken.PFC >= SHOOTOUT_ROUNDS && state.taken.OPP >= SHOOTOUT_ROUNDS ? ' (sudden death)' : ''} — ${state.next === 'PFC' ? team.name : currentGame.opponent}`;
+
+  const body = openSheet('PENALTY SHOOTOUT', `
+    <div class="pso-board">
+      <div class="pso-row ev-pfc">
+        <span class="pso-team">${esc(team.short)}</span>
+        <span class="pso-marks">${shootoutMarks('PFC')}</span>
+        <span class="pso-score">${state.scored.PFC}</span>
+      </div>
+      <div class="pso-row ev-opp">
+        <span class="pso-team">${esc(currentGame.opponent.slice(0, 8).toUpperCase())}</span>
+        <span class="pso-marks">${shootoutMarks('OPP')}</span>
+        <span class="pso-score">${state.scored.OPP}</span>
+      </div>
+    </div>
+    <div class="pso-status${state.winner ? ' decided' : ''}">${esc(status)}</div>
+    ${pickKicker ? `
+    <select class="field-input" id="pso-kicker">
+      <option value="">Kicker (optional)</option>
+      ${players.map((p) => `<option value="${esc(p.player_id)}">${esc(playerLabel(p.player_id))}</option>`).join('')}
+    </select>` : ''}
+    ${state.winner ? '' : `
+    <div class="pso-outcomes">
+      ${SHOOTOUT_OUTCOMES.map(([value, label]) =>
+        `<button class="btn-secondary pso-${value}" data-outcome="${value}">${label}</button>`).join('')}
+    </div>`}
+    <div class="sheet-actions">
+      <button id="pso-undo"   class="btn-ghost"${shootoutKicks.length ? '' : ' disabled'}>↩ UNDO KICK</button>
+      <button id="pso-close"  class="btn-ghost">CLOSE</button>
+      ${state.winner ? '<button id="pso-finish" class="btn-secondary">FINISH GAME ■</button>' : ''}
+    </div>`);
+
+  body.querySelectorAll('[data-outcome]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const kicker = body.querySelector('#pso-kicker');
+      recordKick(btn.dataset.outcome, kicker ? kicker.value || null : null);
+    });
+  });
+  body.querySelector('#pso-undo').addEventListener('click', undoKick);
+  body.querySelector('#pso-close').addEventListener('click', closeSheet);
+  if (state.winner) {
+    body.querySelector('#pso-finish').addEventListener('click', () => { closeSheet(); endGame(); });
+  }
+}
+
+async function recordKick(outcome, playerId) {
+  const { next, winner } = shootoutState();
+  if (winner) return;
+
+  const kick = {
+    event_id:       `ev_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+    game_id:        currentGame.game_id,
+    half:           SHOOTOUT_HALF,
+    t_half_seconds: 0,
+    event_code:     `${SHOOTOUT_CODE}_${next}`,
+    outcome,
+    kick:           shootoutKicks.length + 1,
+    player_id:      playerId,
+    created_at:     new Date().toISOString(),
+  };
+  shootoutKicks.push(kick);
+  await saveGameEvents([kick]);
+
+  vibrate(outcome === 'scored' ? [40, 30, 40] : 30);
+  renderShootoutSheet();
+}
+
+async function undoKick() {
+  const last = shootoutKicks.pop();
+  if (!last) return;
+  await saveGameEvents([], [last]);
+  renderShootoutSheet();
+}
+
+
+/* ─────────────────────────────────────────────
+   LIVE SESSION PERSISTENCE
+   The current half and active flag only live in memory, so they are
+   snapshotted to the meta store whenever they change. If the PWA is
+   killed mid-game, startup finds the snapshot and offers to resume.
+   Events are persisted one-by-one in logEvent(), and the clock needs
+   no snapshot: it is rebuilt from the timestamps in currentGame.periods.
+───────────────────────────────────────────── */
+
+/** Snapshot the live session. Fire-and-forget: never blocks logging. */
+function saveSession() {
+  if (!currentGame || !gameActive) return;
+  dbPut(STORE_META, {
+    key:           META_SESSION,
+    game_id:       currentGame.game_id,
+    current_half:  currentHalf,
+    saved_at:      Date.now(),
+  }).catch((err) => console.warn('Session save failed', err));
+}
+
+function clearSession() {
+  dbDelete(STORE_META, META_SESSION)
+    .catch((err) => console.warn('Session clear failed', err));
+}
+
+/** On startup: if an unfinished game was left behind, offer to resume it */
+async function offerSessionResume() {
+  const session = await dbGet(STORE_META, META_SESSION);
+  if (!session) return;
+
+  const game = await dbGet(STORE_GAMES, session.game_id);
+  if (!game) { clearSession(); return; }
+
+  if (!confirm(`Resume unfinished game vs ${game.opponent} (${periodName(session.current_half, gameFormat(game))})?`)) {
+    clearSession();
+    return;
+  }
+  await resumeSession(session, game);
+}
+
+async function resumeSession(session, game) {
+  currentGame   = game;
+  setGameEvents(await dbGetEventsByGame(game.game_id));
+  currentHalf   = session.current_half;
+  gameActive    = true;
+  redoStack     = redoStackFromJournal(await dbGetByGame(STORE_JOURNAL, game.game_id), currentEvents);
+
+  enterLoggingScreen();
+  if (currentGame.shootout) openShootout();
+  showToast('GAME RESUMED');
+}
+
+
 /* ─────────────────────────────────────────────
    REVIEW SCREEN
 ───────────────────────────────────────────── */
@@ -588,31 +2476,81 @@ function endGame() {
 function openReviewScreen() {
   if (!currentGame) return;
 
+  applyTeamTheme(gameTeam());
+  renderReviewInfo();
+
+  // Reset filters (period and type options follow the game's format and
+  // the editable event type list)
+  renderHalfFilter();
+  renderTypeFilter();
+  document.getElementById('filter-half').value = 'all';
+  document.getElementById('filter-team').value = 'all';
+  document.getElementById('filter-type').value = 'all';
+  highlightsOnly = false;
+
+  // One time-adjust input per period, reset to 0
+  renderAdjustInputs();
+
+  // Video offset is remembered per game
+  document.getElementById('video-offset').value =
+    formatVideoTime(currentGame.video_offset_seconds || 0);
+
+  resetVideoSync();
+  timelineZoom = { start: 0, end: 1 };
+  document.getElementById('history-panel').open = false;
+  renderEventsList();
+}
+
+/** Opponent, score, date and loggers above the list */
+function renderReviewInfo() {
   const date = new Date(currentGame.date).toLocaleDateString(undefined, {
     day: 'numeric', month: 'short', year: 'numeric'
   });
 
   // Derive score from events — works for live sessions and loaded saved games
-  const pfcGoals = currentEvents.filter((e) => e.event_code === 'GOAL_PFC').length;
-  const oppGoals = currentEvents.filter((e) => e.event_code === 'GOAL_OPP').length;
+  const [pfcGoals, oppGoals] = matchScore();
+  const pens = shootoutKicks.length ? shootoutState() : null;
 
   document.getElementById('review-game-info').innerHTML = `
     <span class="ri-opp">vs ${esc(currentGame.opponent)}</span>
     <span class="ri-score">${pfcGoals} – ${oppGoals}</span>
+    ${pens ? `<span class="ri-pens">(${pens.scored.PFC}–${pens.scored.OPP} pens)</span>` : ''}
     <span class="ri-date">${esc(date)}</span>
-    <span class="ri-logger">${esc(currentGame.logger_name)}</span>
+    <span class="ri-logger">${esc(gameLoggers().join(' + '))}</span>
+    ${renderDetailsInfo()}
   `;
 
-  // Reset filters
-  document.getElementById('filter-half').value = 'all';
-  document.getElementById('filter-team').value = 'all';
-  document.getElementById('filter-type').value = 'all';
+  // The shootout gets its own strip, apart from the match events
+  const pso = document.getElementById('review-shootout');
+  pso.classList.toggle('hidden', !pens);
+  pso.innerHTML = pens ? `
+    <span class="pso-label">PENS</span>
+    <span class="pso-team">${esc(gameTeam().short)}</span>
+    <span class="pso-marks">${shootoutMarks('PFC')}</span>
+    <span class="pso-team">${esc(currentGame.opponent.slice(0, 8).toUpperCase())}</span>
+    <span class="pso-marks">${shootoutMarks('OPP')}</span>` : '';
+}
 
-  // Reset time adjust
-  document.getElementById('adjust-h1').value = '0';
-  document.getElementById('adjust-h2').value = '0';
+/** Competition, venue, conditions… on their own line; notes below */
+function renderDetailsInfo() {
+  const entries = gameDetailEntries(currentGame);
+  const line  = entries.filter((d) => d.key !== 'notes')
+    .map((d) => (d.key === 'kickoff_time' ? `KO ${d.value}` : d.value));
+  const notes = entries.find((d) => d.key === 'notes');
+  return (line.length ? `<span class="ri-details">${esc(line.join(' · '))}</span>` : '') +
+    (notes ? `<span class="ri-notes">${esc(notes.value)}</span>` : '');
+}
 
-  renderEventsList();
+function renderHalfFilter() {
+  document.getElementById('filter-half').innerHTML =
+    `<option value="all">All ${gameFormat().periods === 2 ? 'Halves' : 'Periods'}</option>` +
+    editableHalves().map((h) => `<option value="${h}">${esc(periodName(h))}</option>`).join('');
+}
+
+function renderTypeFilter() {
+  document.getElementById('filter-type').innerHTML =
+    '<option value="all">All Events</option>' +
+    eventTypes.map((t) => `<option value="${esc(t.code)}">${esc(t.name)}</option>`).join('');
 }
 
 function getFilteredEvents() {
@@ -621,9 +2559,10 @@ function getFilteredEvents() {
   const type = document.getElementById('filter-type').value;
 
   return currentEvents.filter((e) => {
+    if (highlightsOnly && !e.highlight) return false;
     if (half !== 'all' && e.half !== parseInt(half, 10)) return false;
     if (team !== 'all' && !e.event_code.endsWith(`_${team}`)) return false;
-    if (type !== 'all' && !e.event_code.startsWith(type)) return false;
+    if (type !== 'all' && eventFamily(e.event_code) !== type) return false;
     return true;
   });
 }
@@ -632,202 +2571,2515 @@ function renderEventsList() {
   const events  = getFilteredEvents();
   const list    = document.getElementById('events-list');
 
+  // The stats dashboard reads the same filtered events
+  list.classList.toggle('hidden', statsVisible);
+  document.getElementById('stats-view').classList.toggle('hidden', !statsVisible);
+  document.getElementById('btn-toggle-stats').classList.toggle('on', statsVisible);
+  document.getElementById('filter-highlight').classList.toggle('on', highlightsOnly);
+  document.getElementById('filter-highlight').setAttribute('aria-pressed', highlightsOnly);
+  document.getElementById('timeline').classList.toggle('hidden', statsVisible || !events.length);
+  if (statsVisible) renderStats(events);
+  else              renderTimeline(events);
+
   if (!events.length) {
     list.innerHTML = '<div class="no-events">No events match this filter</div>';
     return;
   }
 
+  const anchored = new Set(syncAnchors.map((a) => a.event_id));
+  // Only tag who logged what once several loggers' logs have been merged
+  const multiLogger = gameLoggers().length > 1;
+  list.classList.toggle('sync-picking', syncPicking);
   list.innerHTML = events.map((e) => {
     const cls = EVENT_CLASS(e.event_code);
+    // While previewing a video sync, show where each event would move to
+    const preview = syncPreview && syncPreview[e.event_id] !== undefined
+      ? `<span class="ev-time-new">→ ${formatVideoTime(syncPreview[e.event_id])}</span>` : '';
     return `
-      <div class="event-item ${cls}">
-        <span class="ev-half">H${e.half}</span>
-        <span class="ev-time">${formatTime(e.t_half_seconds)}</span>
-        <span class="ev-label">${esc(EVENT_DISPLAY[e.event_code] || e.event_code)}</span>
+      <div class="event-item ${cls}${anchored.has(e.event_id) ? ' sync-anchor' : ''}" data-id="${esc(e.event_id)}">
+        <span class="ev-half">${periodShort(e.half)}</span>
+        <span class="ev-time">${formatEventTime(e.half, e.t_half_seconds)}</span>
+        ${preview}
+        <span class="ev-label">${e.highlight ? '<span class="ev-star">★</span> ' : ''}${esc(eventDisplayWithPlayer(e))}${e.note ? `<span class="ev-note">${esc(e.note)}</span>` : ''}</span>
+        ${multiLogger ? `<span class="ev-logger">${esc(eventLoggers(e).join(' + '))}</span>` : ''}
       </div>`;
   }).join('');
+
+  // Tapping an event picks it as a sync anchor while picking, else edits it
+  list.querySelectorAll('.event-item').forEach((item) => {
+    item.addEventListener('click', () => {
+      if (syncPicking) toggleSyncAnchor(item.dataset.id);
+      else             openEventEditor(item.dataset.id);
+    });
+  });
+}
+
+function renderAdjustInputs() {
+  document.getElementById('adjust-periods').innerHTML = editableHalves().map((h) => `
+    <label for="adjust-${h}">${periodShort(h)}</label>
+    <input type="number" id="adjust-${h}" class="adjust-input" data-half="${h}" value="0">`).join('');
 }
 
 /** Offset event times to correct drift against video footage */
 async function applyTimeAdjust() {
-  const adjH1 = parseInt(document.getElementById('adjust-h1').value, 10) || 0;
-  const adjH2 = parseInt(document.getElementById('adjust-h2').value, 10) || 0;
+  const adjust = {};
+  document.querySelectorAll('#adjust-periods input').forEach((input) => {
+    adjust[input.dataset.half] = parseInt(input.value, 10) || 0;
+  });
 
-  if (adjH1 === 0 && adjH2 === 0) {
+  if (Object.values(adjust).every((adj) => adj === 0)) {
     showToast('No adjustment entered');
     return;
   }
 
   currentEvents = currentEvents.map((e) => {
-    const adj    = e.half === 1 ? adjH1 : adjH2;
+    const adj    = adjust[e.half] || 0;
     const newSec = Math.max(0, e.t_half_seconds + adj);
-    return { ...e, t_half_seconds: newSec };
+    // Keep the time as originally logged so VIDEO SYNC → REVERT can restore it
+    return { ...e, t_logged_seconds: loggedSeconds(e), t_half_seconds: newSec };
   });
 
   // Persist adjusted events
-  await Promise.all(currentEvents.map((e) => dbPut(STORE_EVENTS, e)));
+  await saveGameEvents(currentEvents);
+  journal('adjust', { adjust });
 
-  document.getElementById('adjust-h1').value = '0';
-  document.getElementById('adjust-h2').value = '0';
+  renderAdjustInputs();
+  renderEventsList();
+  showToast('Times adjusted');
+}
+
+
+/* ─────────────────────────────────────────────
+   STATS DASHBOARD
+   The review screen's other view: counts, set-piece share, where goals
+   came from and a rolling pressure index, all from getFilteredEvents()
+   so the half / team / type filters apply. Charts are inline SVG
+   coloured by CSS classes — no library, works offline, follows the
+   team theme.
+───────────────────────────────────────────── */
+
+/** A goal this soon after the same team's set piece is credited to it */
+const SET_PIECE_GOAL_SECONDS = 30;
+/** Pressure: our minus their set pieces over the last 5 minutes… */
+const PRESSURE_WINDOW_SECONDS = 300;
+/** …sampled this often along the match */
+const PRESSURE_STEP_SECONDS = 30;
+
+function toggleHighlightsOnly() {
+  highlightsOnly = !highlightsOnly;
+  renderEventsList();
+}
+
+function toggleStatsView() {
+  statsVisible = !statsVisible;
+  renderEventsList();
+}
+
+function isSetPiece(e) {
+  const type = eventType(eventFamily(e.event_code));
+  return !!type && !!type.setPiece;
+}
+
+function isGoalEvent(e) {
+  const type = eventType(eventFamily(e.event_code));
+  return !!type && type.isGoal;
+}
+
+function renderStats(events) {
+  const view = document.getElementById('stats-view');
+  if (!events.length) {
+    view.innerHTML = '<div class="no-events">No events match this filter</div>';
+    return;
+  }
+  view.innerHTML = [
+    statsCountsTable(events),
+    statsSetPieceShare(events),
+    statsGoalSources(events),
+    statsPressureChart(events),
+  ].join('');
+}
+
+/** "ours:theirs" counts per event family, per period and in total */
+function statsCountsTable(events) {
+  const halves   = editableHalves().filter((h) => events.some((e) => e.half === h));
+  const families = eventTypes.filter((t) => events.some((e) => eventFamily(e.event_code) === t.code));
+  const count = (code, side, half) => events.filter((e) =>
+    e.event_code === `${code}_${side}` && (half === undefined || e.half === half)).length;
+  const cell = (code, half) => `${count(code, 'PFC', half)}:${count(code, 'OPP', half)}`;
+
+  return `
+    <div class="stats-section">
+      <div class="settings-heading">COUNTS (${esc(gameTeam().short)} : OPP)</div>
+      <table class="stats-table">
+        <tr><th></th>${halves.map((h) => `<th>${periodShort(h)}</th>`).join('')}<th>TOTAL</th></tr>
+        ${families.map((t) => `
+          <tr>
+            <td>${esc(t.name)}</td>
+            ${halves.map((h) => `<td>${cell(t.code, h)}</td>`).join('')}
+            <td class="stats-total">${cell(t.code)}</td>
+          </tr>`).join('')}
+      </table>
+    </div>`;
+}
+
+/** Two-colour bar: our share of a pair of counts */
+function svgShareBar(ours, theirs) {
+  const pct = ours + theirs ? (ours / (ours + theirs)) * 100 : 50;
+  return `
+    <svg class="stats-bar" viewBox="0 0 100 6" preserveAspectRatio="none" aria-hidden="true">
+      <rect class="svg-opp" x="0" y="0" width="100" height="6"/>
+      <rect class="svg-pfc" x="0" y="0" width="${pct.toFixed(1)}" height="6"/>
+    </svg>`;
+}
+
+/** Who won the restarts: all set pieces, then each set-piece type */
+function statsSetPieceShare(events) {
+  const pieces = events.filter(isSetPiece);
+  if (!pieces.length) return '';
+
+  const rows = [['All set pieces', pieces], ...eventTypes
+    .filter((t) => t.setPiece)
+    .map((t) => [t.name, pieces.filter((e) => eventFamily(e.event_code) === t.code)])
+    .filter(([, list]) => list.length)];
+
+  return `
+    <div class="stats-section">
+      <div class="settings-heading">SET-PIECE SHARE</div>
+      ${rows.map(([label, list]) => {
+        const ours   = list.filter((e) => isOurEvent(e.event_code)).length;
+        const theirs = list.length - ours;
+        return `
+          <div class="stats-share">
+            <span class="stats-share-label">${esc(label)}</span>
+            <span class="stats-share-pct">${Math.round((ours / list.length) * 100)}%</span>
+            ${svgShareBar(ours, theirs)}
+            <span class="stats-share-pct">${Math.round((theirs / list.length) * 100)}%</span>
+          </div>`;
+      }).join('')}
+    </div>`;
+}
+
+/**
+ * Goals by the set piece they came from: the same team's latest set
+ * piece in the same period, at most SET_PIECE_GOAL_SECONDS before the
+ * goal (looked up in all events, so a type filter on goals still works);
+ * anything else is open play.
+ */
+function statsGoalSources(events) {
+  const goals = events.filter(isGoalEvent);
+  if (!goals.length) return '';
+
+  const sources = {};   // label → [ours, theirs]
+  goals.forEach((g) => {
+    const side = isOurEvent(g.event_code);
+    const from = currentEvents
+      .filter((e) => isSetPiece(e) && isOurEvent(e.event_code) === side && e.half === g.half &&
+                     e.t_half_seconds <= g.t_half_seconds &&
+                     e.t_half_seconds >= g.t_half_seconds - SET_PIECE_GOAL_SECONDS)
+      .pop();
+    const label = from ? eventType(eventFamily(from.event_code)).name : 'Open play';
+    sources[label] = sources[label] || [0, 0];
+    sources[label][side ? 0 : 1]++;
+  });
+
+  return `
+    <div class="stats-section">
+      <div class="settings-heading">GOALS BY SOURCE</div>
+      <table class="stats-table">
+        <tr><th></th><th>${esc(gameTeam().short)}</th><th>OPP</th></tr>
+        ${Object.entries(sources).map(([label, [ours, theirs]]) => `
+          <tr><td>${esc(label)}</td><td>${ours}</td><td>${theirs}</td></tr>`).join('')}
+      </table>
+    </div>`;
+}
+
+/**
+ * Rolling pressure: at every PRESSURE_STEP_SECONDS of game time, our set
+ * pieces minus theirs over the previous PRESSURE_WINDOW_SECONDS. Bars
+ * above the line are our pressure, below theirs; dashed lines mark the
+ * start of each period.
+ */
+function statsPressureChart(events) {
+  const pieces = events.filter(isSetPiece);
+  if (!pieces.length) return '';
+
+  const gameSeconds = gameSecondsFn();
+  const times = pieces.map((e) => ({ t: gameSeconds(e), ours: isOurEvent(e.event_code) }));
+  const end   = Math.max(PRESSURE_WINDOW_SECONDS, ...currentEvents.map(gameSeconds));
+
+  const samples = [];
+  for (let t = PRESSURE_STEP_SECONDS; t <= end + PRESSURE_STEP_SECONDS; t += PRESSURE_STEP_SECONDS) {
+    const inWindow = times.filter((p) => p.t > t - PRESSURE_WINDOW_SECONDS && p.t <= t);
+    samples.push({ t, value: inWindow.filter((p) => p.ours).length - inWindow.filter((p) => !p.ours).length });
+  }
+
+  const W = 300, H = 80, mid = H / 2;
+  const peak = Math.max(1, ...samples.map((p) => Math.abs(p.value)));
+  const span = samples[samples.length - 1].t;
+  const x    = (t) => (t / span) * W;
+  const barW = Math.max(1, W / samples.length - 0.5);
+
+  const bars = samples.filter((p) => p.value).map((p) => {
+    const h = (Math.abs(p.value) / peak) * (mid - 2);
+    return `<rect class="${p.value > 0 ? 'svg-pfc' : 'svg-opp'}" x="${(x(p.t) - barW).toFixed(1)}"
+                  y="${(p.value > 0 ? mid - h : mid).toFixed(1)}" width="${barW.toFixed(1)}" height="${h.toFixed(1)}"/>`;
+  }).join('');
+
+  const periods = editableHalves().filter((h) => h > 1).map((h) => {
+    const px = x(gameSeconds({ half: h, t_half_seconds: 0 }));
+    if (!(px > 0 && px < W)) return '';
+    return `<line class="svg-period" x1="${px.toFixed(1)}" y1="0" x2="${px.toFixed(1)}" y2="${H}"/>
+            <text class="svg-label" x="${(px + 2).toFixed(1)}" y="9">${periodShort(h)}</text>`;
+  }).join('');
+
+  return `
+    <div class="stats-section">
+      <div class="settings-heading">PRESSURE (SET PIECES, ROLLING 5′)</div>
+      <svg class="stats-pressure" viewBox="0 0 ${W} ${H}" role="img"
+           aria-label="Rolling set-piece pressure">
+        <line class="svg-axis" x1="0" y1="${mid}" x2="${W}" y2="${mid}"/>
+        ${periods}
+        ${bars}
+      </svg>
+      <div class="stats-legend">
+        <span class="ev-pfc">▲ ${esc(gameTeam().short)}</span>
+        <span>peak ±${peak}</span>
+        <span class="ev-opp">▼ OPP</span>
+      </div>
+    </div>`;
+}
+
+
+/* ─────────────────────────────────────────────
+   MATCH TIMELINE
+   One horizontal strip per period above the list: our events above the
+   axis, the opponent's below, goals larger. Markers take their colour
+   from EVENT_CLASS, like the list. Tap near a marker to see it and jump
+   to it in the list; pinch, drag or wheel to zoom into a time range
+   (timelineZoom, shared by all periods). The same layout is drawn onto
+   a canvas for the PNG export.
+───────────────────────────────────────────── */
+
+/** Deepest zoom: this fraction of a period */
+const TIMELINE_MIN_SPAN = 0.05;
+/** A tap this close (CSS px) to a marker selects it */
+const TIMELINE_HIT_PX = 14;
+/** Canvas colour for each EVENT_CLASS */
+const TIMELINE_COLOR_VARS = { 'ev-pfc': '--pfc', 'ev-opp': '--opp', 'ev-goal': '--goal-gold' };
+
+/** Filtered events laid out per period: x is 0–1 across the zoomed range */
+function timelineRows(events) {
+  const { start, end } = timelineZoom;
+  return editableHalves()
+    .filter((half) => events.some((e) => e.half === half))
+    .map((half) => {
+      // The strip spans the nominal length, or longer if play ran on
+      const timing = (currentGame.periods || []).find((p) => p.half === half);
+      const length = Math.max(
+        60,
+        nominalSeconds(half) ?? 0,
+        timing && timing.ended_at ? periodPlayedSeconds(timing) : 0,
+        ...currentEvents.filter((e) => e.half === half).map((e) => e.t_half_seconds));
+
+      const markers = events
+        .filter((e) => e.half === half)
+        .map((e) => ({
+          e,
+          x:     (e.t_half_seconds / length - start) / (end - start),
+          above: isOurEvent(e.event_code),
+          goal:  isGoalEvent(e),
+          cls:   EVENT_CLASS(e.event_code),
+        }))
+        .filter((m) => m.x >= 0 && m.x <= 1);
+
+      return { half, length, markers };
+    });
+}
+
+function renderTimeline(events) {
+  const W = 300, H = 40;
+  const rows = timelineRows(events);
+
+  document.getElementById('timeline-rows').innerHTML = rows.map((row) => `
+    <div class="tl-row">
+      <span class="tl-period">${periodShort(row.half)}</span>
+      <svg class="tl-svg" viewBox="0 0 ${W} ${H}" data-half="${row.half}" aria-hidden="true">
+        <line class="svg-axis" x1="0" y1="${H / 2}" x2="${W}" y2="${H / 2}"/>
+        ${row.markers.map((m) => `
+          <circle class="tl-marker ${m.cls}${m.goal ? ' tl-goal' : ''}"
+                  cx="${(m.x * W).toFixed(1)}" cy="${m.above ? H / 2 - 9 : H / 2 + 9}" r="${m.goal ? 5 : 3}"/>`).join('')}
+      </svg>
+    </div>`).join('');
+
+  const zoomed = timelineZoom.start > 0 || timelineZoom.end < 1;
+  document.getElementById('btn-timeline-reset').classList.toggle('hidden', !zoomed);
+  if (zoomed && rows.length) {
+    const from = timelineZoom.start * rows[0].length, to = timelineZoom.end * rows[0].length;
+    document.getElementById('timeline-detail').textContent =
+      `${periodShort(rows[0].half)} ${formatTime(from)}–${formatTime(to)}`;
+  }
+}
+
+/** Select the marker nearest a tap, show it and scroll the list to it */
+function onTimelineTap(evt, target) {
+  const svg = target.closest && target.closest('.tl-svg');
+  if (!svg) return;
+  const rect = svg.getBoundingClientRect();
+  const half = Number(svg.dataset.half);
+  const row  = timelineRows(getFilteredEvents()).find((r) => r.half === half);
+  if (!row || !rect.width) return;
+
+  const px    = evt.clientX - rect.left;
+  const above = evt.clientY - rect.top < rect.height / 2;
+  let best = null;
+  row.markers.forEach((m) => {
+    const gap = Math.abs(m.x * rect.width - px) + (m.above === above ? 0 : TIMELINE_HIT_PX / 2);
+    if (gap <= TIMELINE_HIT_PX && (!best || gap < best.gap)) best = { m, gap };
+  });
+  if (!best) return;
+
+  const e = best.m.e;
+  document.getElementById('timeline-detail').textContent =
+    `${periodShort(e.half)} ${formatEventTime(e.half, e.t_half_seconds)} ${eventDisplayWithPlayer(e)}`;
+
+  const item = document.querySelector(`#events-list .event-item[data-id="${CSS.escape(e.event_id)}"]`);
+  document.querySelectorAll('#events-list .tl-selected').forEach((el) => el.classList.remove('tl-selected'));
+  if (item) {
+    item.classList.add('tl-selected');
+    item.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  }
+}
+
+/** Zoom by `factor` (>1 = in) keeping the point at `focus` (0–1 of view) still */
+function zoomTimeline(factor, focus = 0.5) {
+  const span    = timelineZoom.end - timelineZoom.start;
+  const centre  = timelineZoom.start + focus * span;
+  const newSpan = Math.min(1, Math.max(TIMELINE_MIN_SPAN, span / factor));
+  const start   = Math.min(1 - newSpan, Math.max(0, centre - focus * newSpan));
+  timelineZoom  = { start, end: start + newSpan };
+  renderTimeline(getFilteredEvents());
+}
+
+/** Shift the zoomed range by a fraction of the view's width */
+function panTimeline(fraction) {
+  const span  = timelineZoom.end - timelineZoom.start;
+  const start = Math.min(1 - span, Math.max(0, timelineZoom.start - fraction * span));
+  timelineZoom = { start, end: start + span };
+  renderTimeline(getFilteredEvents());
+}
+
+function resetTimelineZoom() {
+  timelineZoom = { start: 0, end: 1 };
+  document.getElementById('timeline-detail').textContent = '';
+  renderTimeline(getFilteredEvents());
+}
+
+/**
+ * Pointer gestures on the strips: two fingers pinch-zoom, one finger (or
+ * the mouse) drags the zoomed range, and a press that barely moves is a
+ * tap. The wheel zooms on desktop.
+ */
+function attachTimelineGestures() {
+  const el = document.getElementById('timeline-rows');
+  const pointers = new Map();   // pointerId → clientX
+  let moved = false;
+  // Pointer capture retargets pointerup to the container, so a tap is
+  // hit-tested against what the press landed on
+  let pressed = null;
+
+  const viewFraction = (clientX) => {
+    const svg = el.querySelector('.tl-svg');
+    if (!svg) return null;
+    const rect = svg.getBoundingClientRect();
+    return rect.width ? { x: (clientX - rect.left) / rect.width, width: rect.width } : null;
+  };
+
+  el.addEventListener('pointerdown', (evt) => {
+    pointers.set(evt.pointerId, evt.clientX);
+    if (pointers.size === 1) {
+      moved   = false;
+      pressed = evt.target;
+    }
+    if (el.setPointerCapture) el.setPointerCapture(evt.pointerId);
+  });
+
+  el.addEventListener('pointermove', (evt) => {
+    if (!pointers.has(evt.pointerId)) return;
+    const prev = pointers.get(evt.pointerId);
+    const view = viewFraction(evt.clientX);
+    if (!view) return;
+
+    if (pointers.size === 2) {
+      const [, otherX] = [...pointers].find(([id]) => id !== evt.pointerId);
+      const before = Math.abs(prev - otherX), after = Math.abs(evt.clientX - otherX);
+      pointers.set(evt.pointerId, evt.clientX);
+      if (before > 10) {
+        moved = true;
+        zoomTimeline(after / before, viewFraction((evt.clientX + otherX) / 2).x);
+      }
+    } else if (Math.abs(evt.clientX - prev) > 4) {
+      moved = true;
+      pointers.set(evt.pointerId, evt.clientX);
+      panTimeline((evt.clientX - prev) / view.width);
+    }
+  });
+
+  const release = (evt) => {
+    const wasTap = pointers.size === 1 && !moved && evt.type === 'pointerup';
+    pointers.delete(evt.pointerId);
+    if (wasTap) onTimelineTap(evt, pressed);
+  };
+  el.addEventListener('pointerup', release);
+  el.addEventListener('pointercancel', release);
+
+  el.addEventListener('wheel', (evt) => {
+    const view = viewFraction(evt.clientX);
+    if (!view) return;
+    evt.preventDefault();
+    zoomTimeline(evt.deltaY < 0 ? 1.25 : 0.8, view.x);
+  }, { passive: false });
+}
+
+/** Draw the timeline as shown (filters and zoom) onto a canvas → PNG */
+function exportTimelinePNG() {
+  const rows = timelineRows(getFilteredEvents());
+  if (!rows.length) { showToast('No events to export'); return; }
+
+  const W = 1200, ROW_H = 90, TOP = 56, LEFT = 70, RIGHT = 20;
+  const canvas = document.createElement('canvas');
+  canvas.width  = W;
+  canvas.height = TOP + rows.length * ROW_H + 10;
+  const ctx = canvas.getContext && canvas.getContext('2d');
+  if (!ctx) { showToast('PNG export not supported here'); return; }
+
+  const css    = getComputedStyle(document.documentElement);
+  const color  = (name) => css.getPropertyValue(name).trim();
+  const [pfc, opp] = matchScore();
+  const plotW  = W - LEFT - RIGHT;
+
+  ctx.fillStyle = color('--bg') || '#0d0d1a';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  ctx.fillStyle    = color('--text') || '#e2e2e2';
+  ctx.font         = 'bold 22px Arial, sans-serif';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(`${gameTeam().name} ${pfc} – ${opp} ${currentGame.opponent}`, LEFT, 28);
+  ctx.font      = '14px Arial, sans-serif';
+  ctx.textAlign = 'right';
+  ctx.fillStyle = color('--text-dim') || '#888';
+  ctx.fillText(new Date(currentGame.date).toLocaleDateString(), W - RIGHT, 28);
+
+  rows.forEach((row, i) => {
+    const mid = TOP + i * ROW_H + ROW_H / 2;
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = color('--text-dim') || '#888';
+    ctx.font      = 'bold 16px Arial, sans-serif';
+    ctx.fillText(periodShort(row.half), 16, mid);
+
+    // Axis with a tick every 5 minutes of the visible range
+    ctx.strokeStyle = color('--border') || '#2a2a50';
+    ctx.lineWidth   = 2;
+    ctx.beginPath();
+    ctx.moveTo(LEFT, mid);
+    ctx.lineTo(W - RIGHT, mid);
+    ctx.stroke();
+    const from = timelineZoom.start * row.length, to = timelineZoom.end * row.length;
+    ctx.font      = '11px Arial, sans-serif';
+    ctx.textAlign = 'center';
+    for (let t = Math.ceil(from / 300) * 300; t <= to; t += 300) {
+      const x = LEFT + ((t - from) / (to - from)) * plotW;
+      ctx.fillRect(x - 1, mid - 4, 2, 8);
+      ctx.fillText(formatTime(t), x, mid + ROW_H / 2 - 8);
+    }
+
+    row.markers.forEach((m) => {
+      ctx.fillStyle = color(TIMELINE_COLOR_VARS[m.cls]) || '#fff';
+      ctx.beginPath();
+      ctx.arc(LEFT + m.x * plotW, m.above ? mid - 18 : mid + 18, m.goal ? 10 : 6, 0, Math.PI * 2);
+      ctx.fill();
+      if (m.goal) {
+        ctx.strokeStyle = color('--text') || '#fff';
+        ctx.lineWidth   = 2;
+        ctx.stroke();
+      }
+    });
+  });
+
+  canvas.toBlob((blob) => {
+    if (!blob) { showToast('PNG export failed'); return; }
+    downloadFile(blob, buildFilename('png').replace(/\.png$/, '_timeline.png'), 'image/png');
+  }, 'image/png');
+}
+
+
+/* ─────────────────────────────────────────────
+   EVENT EDITOR
+   Fix a single event after the fact — team, type, half, time, player —
+   delete it, or insert one the logger missed. Score and tallies are
+   derived from currentEvents, so they follow automatically.
+───────────────────────────────────────────── */
+
+/** Periods this game can hold events in: its format's, plus any in use */
+function editableHalves() {
+  const halves = [
+    ...Array.from({ length: periodCount() }, (_, i) => i + 1),
+    ...(currentGame.periods || []).map((p) => p.half),
+    ...currentEvents.map((e) => e.half),
+  ];
+  return [...new Set(halves)].sort((a, b) => a - b);
+}
+
+/** Open the editor for an existing event, or with no id for a new one */
+function openEventEditor(eventId) {
+  const existing = eventId ? currentEvents.find((e) => e.event_id === eventId) : null;
+  if (eventId && !existing) return;
+
+  const event   = existing || { half: 1, t_half_seconds: 0, event_code: `${visibleEventTypes()[0].code}_PFC`, player_id: null };
+  const team    = gameTeam();
+  const family  = eventFamily(event.event_code);
+  const players = team.players || [];
+  // Hidden types stay selectable for an event that already uses one
+  const types   = eventTypes.filter((t) => !t.hidden || t.code === family);
+
+  const body = openSheet(existing ? 'EDIT EVENT' : 'INSERT MISSED EVENT', `
+    <div class="field-group">
+      <label class="field-label" for="edit-team">TEAM</label>
+      <select class="field-input" id="edit-team">
+        <option value="PFC"${isOurEvent(event.event_code) ? ' selected' : ''}>${esc(team.name)}</option>
+        <option value="OPP"${isOurEvent(event.event_code) ? '' : ' selected'}>${esc(currentGame.opponent)}</option>
+      </select>
+    </div>
+    <div class="field-group">
+      <label class="field-label" for="edit-type">EVENT</label>
+      <select class="field-input" id="edit-type">
+        ${types.map((t) => `<option value="${esc(t.code)}"${t.code === family ? ' selected' : ''}>${esc(t.name)}</option>`).join('')}
+      </select>
+    </div>
+    <div class="edit-row">
+      <div class="field-group">
+        <label class="field-label" for="edit-half">PERIOD</label>
+        <select class="field-input" id="edit-half">
+          ${editableHalves().map((h) => `<option value="${h}"${h === event.half ? ' selected' : ''}>${periodShort(h)}</option>`).join('')}
+        </select>
+      </div>
+      <div class="field-group">
+        <label class="field-label" for="edit-time">TIME</label>
+        <input class="field-input" type="text" id="edit-time" value="${formatTime(event.t_half_seconds)}"
+               placeholder="mm:ss" inputmode="numeric" autocomplete="off">
+      </div>
+    </div>
+    ${players.length ? `
+    <div class="field-group">
+      <label class="field-label" for="edit-player">PLAYER</label>
+      <select class="field-input" id="edit-player">
+        <option value="">—</option>
+        ${players.map((p) => `<option value="${esc(p.player_id)}"${p.player_id === event.player_id ? ' selected' : ''}>${esc(playerLabel(p.player_id))}</option>`).join('')}
+      </select>
+    </div>` : ''}
+    <div class="field-group">
+      <label class="field-label" for="edit-note">NOTE</label>
+      <input class="field-input" type="text" id="edit-note" value="${esc(event.note || '')}"
+             maxlength="${NOTE_MAX_LENGTH}" autocomplete="off">
+    </div>
+    <label class="edit-check">
+      <input type="checkbox" id="edit-highlight"${event.highlight ? ' checked' : ''}> ★ Highlight
+    </label>
+    <div class="sheet-actions">
+      ${existing ? '<button id="edit-delete" class="btn-secondary btn-danger">DELETE</button>' : ''}
+      <button id="edit-cancel" class="btn-ghost">CANCEL</button>
+      <button id="edit-save"   class="btn-secondary">${existing ? 'SAVE' : 'INSERT'}</button>
+    </div>`);
+
+  // Players belong to our team only
+  const teamSel   = body.querySelector('#edit-team');
+  const playerSel = body.querySelector('#edit-player');
+  const syncPlayer = () => { if (playerSel) playerSel.disabled = teamSel.value !== 'PFC'; };
+  teamSel.addEventListener('change', syncPlayer);
+  syncPlayer();
+
+  body.querySelector('#edit-cancel').addEventListener('click', closeSheet);
+  body.querySelector('#edit-save').addEventListener('click', () => saveEditedEvent(existing, body));
+  if (existing) body.querySelector('#edit-delete').addEventListener('click', () => deleteEvent(existing));
+}
+
+async function saveEditedEvent(existing, body) {
+  const t = parseTimecode(body.querySelector('#edit-time').value);
+  if (t === null) { showToast('Enter a time as mm:ss'); return; }
+
+  const side      = body.querySelector('#edit-team').value;
+  const playerSel = body.querySelector('#edit-player');
+  const fields = {
+    half:           Number(body.querySelector('#edit-half').value),
+    event_code:     `${body.querySelector('#edit-type').value}_${side}`,
+    player_id:      side === 'PFC' && playerSel && playerSel.value ? playerSel.value : null,
+  };
+
+  let event;
+  if (existing) {
+    event = { ...existing, ...fields };
+    if (t !== existing.t_half_seconds) {
+      // A hand-corrected time replaces the logged one; REVERT leaves it alone
+      delete event.t_logged_seconds;
+      event.t_half_seconds = t;
+    }
+    currentEvents[currentEvents.indexOf(existing)] = event;
+  } else {
+    event = {
+      event_id:       `ev_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+      game_id:        currentGame.game_id,
+      t_half_seconds: t,
+      ...fields,
+      created_at:     new Date().toISOString(),
+    };
+    currentEvents.push(event);
+  }
+  setAnnotation(event, body.querySelector('#edit-note').value.trim(), body.querySelector('#edit-highlight').checked);
+
+  sortEvents(currentEvents);
+  await saveGameEvents([event]);
+  journal(existing ? 'edit' : 'insert', { event, ...(existing ? { before: existing } : {}) });
+
+  closeSheet();
+  refreshAfterEventEdit();
+  showToast(existing ? 'Event updated' : 'Event inserted');
+}
+
+async function deleteEvent(event) {
+  if (!confirm(`Delete ${eventDisplay(event.event_code)} at ${periodShort(event.half)} ${formatTime(event.t_half_seconds)}?`)) return;
+
+  currentEvents = currentEvents.filter((e) => e !== event);
+  syncAnchors   = syncAnchors.filter((a) => a.event_id !== event.event_id);
+  await saveGameEvents([], [event]);
+  journal('delete', { event });
+
+  closeSheet();
+  refreshAfterEventEdit();
+  showToast('Event deleted');
+}
+
+/** Re-derive everything shown from currentEvents */
+function refreshAfterEventEdit() {
+  syncPreview = null;
+  renderReviewInfo();
+  renderSyncPanel();
+  renderEventsList();
+  if (gameActive) {
+    updateScoreboard();
+    updateTallies();
+    updateRecentEvents();
+  }
+}
+
+
+/* ─────────────────────────────────────────────
+   VIDEO SYNC (ANCHORS)
+   Pick events in the review list and type the video timestamp where each
+   really happens. Per half, the anchors are fitted to
+       video = offset + scale × logged
+   (two or more anchors → offset and scale by least squares, so phone /
+   camera clock drift is corrected; one anchor → offset only). Applying
+   stores { offset, scale } per half on currentGame.video_sync, rescales
+   t_half_seconds, and keeps the original in t_logged_seconds. The chapter
+   exports then place a synced half at offset + t_half_seconds.
+───────────────────────────────────────────── */
+
+/** A fitted scale outside this range means a typo, not clock drift */
+const SYNC_MAX_DRIFT = 0.1;
+
+/** Event time as originally logged, before any adjustment or sync */
+function loggedSeconds(e) {
+  return e.t_logged_seconds ?? e.t_half_seconds;
+}
+
+function resetVideoSync() {
+  syncAnchors = [];
+  syncPicking = false;
+  syncPreview = null;
+  renderSyncPanel();
+}
+
+function toggleSyncPicking() {
+  syncPicking = !syncPicking;
+  renderSyncPanel();
+  renderEventsList();
+  if (syncPicking) showToast('Tap events to use as anchors');
+}
+
+function toggleSyncAnchor(eventId) {
+  const i = syncAnchors.findIndex((a) => a.event_id === eventId);
+  if (i >= 0) syncAnchors.splice(i, 1);
+  else        syncAnchors.push({ event_id: eventId, video: null });
+  syncPreview = null;
+  renderSyncPanel();
+  renderEventsList();
+}
+
+/** Anchor rows (event + video time input), buttons and current sync status */
+function renderSyncPanel() {
+  const listEl = document.getElementById('sync-anchors');
+  listEl.innerHTML = syncAnchors.map((a, i) => {
+    const e = currentEvents.find((ev) => ev.event_id === a.event_id);
+    return `
+      <div class="adjust-row sync-anchor-row">
+        <span class="sync-anchor-label">${periodShort(e.half)} ${formatTime(loggedSeconds(e))} ${esc(eventDisplay(e.event_code))}</span>
+        <input type="text" class="adjust-input adjust-input-wide" data-index="${i}"
+               value="${a.video === null ? '' : formatVideoTime(a.video)}"
+               placeholder="video" inputmode="numeric" autocomplete="off">
+      </div>`;
+  }).join('');
+
+  listEl.querySelectorAll('input').forEach((input) => {
+    input.addEventListener('change', () => {
+      syncAnchors[Number(input.dataset.index)].video = parseTimecode(input.value);
+      syncPreview = null;
+      renderEventsList();
+    });
+  });
+
+  document.getElementById('btn-sync-pick').textContent = syncPicking ? 'DONE' : 'PICK EVENTS';
+
+  const sync = (currentGame && currentGame.video_sync) || {};
+  const halves = Object.keys(sync);
+  document.getElementById('sync-status').textContent = halves.length
+    ? 'Synced: ' + halves.map((h) =>
+        `${periodShort(Number(h))} kickoff ${formatVideoTime(sync[h].offset)}, ×${sync[h].scale.toFixed(4)}`).join(' · ')
+    : '';
+}
+
+/** Fit { offset, scale } per half from the anchors; null (+ toast) if unusable */
+function solveVideoSync() {
+  if (!syncAnchors.length) { showToast('Pick at least one event'); return null; }
+  if (syncAnchors.some((a) => a.video === null)) { showToast('Enter a video time for each anchor'); return null; }
+
+  const byHalf = {};
+  syncAnchors.forEach((a) => {
+    const e = currentEvents.find((ev) => ev.event_id === a.event_id);
+    (byHalf[e.half] = byHalf[e.half] || []).push({ t: loggedSeconds(e), v: a.video });
+  });
+
+  const result = {};
+  for (const [half, pts] of Object.entries(byHalf)) {
+    const n     = pts.length;
+    const meanT = pts.reduce((sum, p) => sum + p.t, 0) / n;
+    const meanV = pts.reduce((sum, p) => sum + p.v, 0) / n;
+    const varT  = pts.reduce((sum, p) => sum + (p.t - meanT) ** 2, 0);
+
+    // Least-squares slope; anchors all at the same logged time can't give one
+    let scale = 1;
+    if (n >= 2 && varT > 0) {
+      scale = pts.reduce((sum, p) => sum + (p.t - meanT) * (p.v - meanV), 0) / varT;
+    }
+    if (Math.abs(scale - 1) > SYNC_MAX_DRIFT) {
+      showToast(`${periodShort(Number(half))} anchors disagree — check the times`);
+      return null;
+    }
+    result[half] = { offset: meanV - scale * meanT, scale };
+  }
+  return result;
+}
+
+function previewVideoSync() {
+  const solved = solveVideoSync();
+  if (!solved) return;
+
+  // The video time each event will land on: offset + the corrected time
+  // applyVideoSync() writes, as the chapter exports place it
+  syncPreview = {};
+  currentEvents.forEach((e) => {
+    const fit = solved[e.half];
+    if (fit) syncPreview[e.event_id] = fit.offset + Math.max(0, Math.round(fit.scale * loggedSeconds(e)));
+  });
+  syncPicking = false;
+  renderSyncPanel();
+  renderEventsList();
+}
+
+async function applyVideoSync() {
+  const solved = solveVideoSync();
+  if (!solved) return;
+
+  currentEvents = currentEvents.map((e) => {
+    const fit = solved[e.half];
+    if (!fit) return e;
+    return {
+      ...e,
+      t_logged_seconds: loggedSeconds(e),
+      t_half_seconds:   Math.max(0, Math.round(fit.scale * loggedSeconds(e))),
+    };
+  });
+  currentGame.video_sync = { ...(currentGame.video_sync || {}), ...solved };
+
+  await saveGameEvents(currentEvents);
+  journal('sync', { sync: solved });
+
+  resetVideoSync();
+  renderEventsList();
+  showToast('Synced to video');
+}
+
+/** Restore every event's logged time and forget the sync (and manual adjusts) */
+async function revertVideoSync() {
+  const touched = currentEvents.filter((e) => e.t_logged_seconds !== undefined);
+  if (!touched.length && !currentGame.video_sync) { showToast('Nothing to revert'); return; }
+  if (!confirm('Restore all event times to how they were logged?')) return;
+
+  currentEvents = currentEvents.map((e) => {
+    if (e.t_logged_seconds === undefined) return e;
+    const { t_logged_seconds, ...rest } = e;
+    return { ...rest, t_half_seconds: t_logged_seconds };
+  });
+  delete currentGame.video_sync;
+
+  await saveGameEvents(touched.map((e) => currentEvents.find((ev) => ev.event_id === e.event_id)));
+  journal('revert');
+
+  sortEvents(currentEvents);
+  resetVideoSync();
+  renderEventsList();
+  showToast('Logged times restored');
+}
+
+
+/* ─────────────────────────────────────────────
+   EXPORT
+───────────────────────────────────────────── */
+
+/**
+ * Build the event → game_seconds mapping shared by every timed export:
+ * the first period counts from 0 and each later one continues from the
+ * end of the one before. A period lasts as long as its clock ran (from
+ * currentGame.periods) or up to its latest timestamp across ALL events
+ * (not just filtered), whichever is longer — so offsets don't move with
+ * the filters, and games without timing records still line up.
+ */
+function gameSecondsFn() {
+  const offsets = {};
+  let elapsed = 0;
+  editableHalves().forEach((half) => {
+    offsets[half] = elapsed;
+    elapsed += periodDurationSeconds(half);
+  });
+  return (e) => e.t_half_seconds + offsets[e.half];
+}
+
+/** A closed period's played time, or its latest event if that runs later */
+function periodDurationSeconds(half) {
+  const timing = (currentGame.periods || []).find((p) => p.half === half);
+  const played = timing && timing.ended_at ? periodPlayedSeconds(timing) : 0;
+  return currentEvents
+    .filter((e) => e.half === half)
+    .reduce((max, e) => Math.max(max, e.t_half_seconds), played);
+}
+
+/** Shootout kicks to export alongside getFilteredEvents(): none once a
+ *  period or event type is filtered for, since kicks have neither */
+function getFilteredKicks() {
+  const half = document.getElementById('filter-half').value;
+  const team = document.getElementById('filter-team').value;
+  const type = document.getElementById('filter-type').value;
+  if (half !== 'all' || type !== 'all' || highlightsOnly) return [];
+  return shootoutKicks.filter((k) => team === 'all' || k.event_code.endsWith(`_${team}`));
+}
+
+function eventToDisplayLine(e) {
+  return `${periodShort(e.half)} ${formatEventTime(e.half, e.t_half_seconds)} ${eventDisplayWithPlayer(e)}` +
+    `${e.highlight ? ' ★' : ''}${e.note ? ` — ${e.note}` : ''}`;
+}
+
+function exportCSV() {
+  const events = getFilteredEvents();
+  if (!events.length && !getFilteredKicks().length) { showToast('No events to export'); return; }
+
+  // ISO date for the game, e.g. "2026-03-15"
+  const dateStr = new Date(currentGame.date).toISOString().slice(0, 10);
+  const gameSeconds = gameSecondsFn();
+
+  const header = [
+    'date', 'opponent', 'logger', 'period',
+    'clock_text', 'clock_seconds', 'game_seconds',
+    'added_time_seconds', 'match_minute',
+    'event_code', 'team', 'event_family', 'event_label',
+    'player_number', 'player_name',
+    'shootout_result',
+    'note', 'highlight',
+    ...GAME_DETAIL_FIELDS.map((f) => f.key),
+  ];
+  // The same game details on every row, so filtered exports stand alone
+  const details = GAME_DETAIL_FIELDS.map((f) => currentGame[f.key] || '');
+
+  const gameTeamProfile = gameTeam();
+  const rows = events.map((e) => {
+    const exportCode = eventExportCode(e.event_code, gameTeamProfile);
+    const team       = exportTeamCode(e.event_code, gameTeamProfile);
+    const family     = eventExportFamily(e.event_code);
+    const label      = eventExportLabel(e.event_code, gameTeamProfile);
+    const gameSec    = gameSeconds(e);
+    const player     = findPlayer(e.player_id, gameTeamProfile);
+
+    return [
+      dateStr,
+      currentGame.opponent,
+      eventLoggers(e).join(' + '),   // per event: merged games have several
+      periodShort(e.half),
+      formatTime(e.t_half_seconds), // quoted mm:ss string — won't be parsed as time-of-day
+      e.t_half_seconds,
+      gameSec,
+      addedTimeSeconds(e.half, e.t_half_seconds),       // 0 in regular time
+      matchMinute(e.half, e.t_half_seconds, gameSec),   // 35 for "35+2'"
+      exportCode,
+      team,
+      family,
+      label,
+      player ? player.number : '',
+      player ? player.name   : '',
+      '',
+      e.note || '',
+      e.highlight ? 1 : 0,
+      ...details,
+    ];
+  });
+
+  // Shootout kicks follow as PSO rows: no clock, just the result
+  getFilteredKicks().forEach((k) => {
+    const team   = exportTeamCode(k.event_code, gameTeamProfile);
+    const player = findPlayer(k.player_id, gameTeamProfile);
+    rows.push([
+      dateStr,
+      currentGame.opponent,
+      eventLoggers(k).join(' + '),
+      SHOOTOUT_CODE,
+      '', '', '', '', '',
+      eventExportCode(k.event_code, gameTeamProfile),
+      team,
+      eventExportFamily(k.event_code),
+      eventExportLabel(k.event_code, gameTeamProfile),
+      player ? player.number : '',
+      player ? player.name   : '',
+      k.outcome,
+      '', '',
+      ...details,
+    ]);
+  });
+
+  downloadFile(toCSV([header, ...rows]), buildFilename('csv'), 'text/csv;charset=utf-8;');
+}
+
+function exportText() {
+  const events = getFilteredEvents();
+  if (!events.length && !getFilteredKicks().length) { showToast('No events to export'); return; }
+
+  const date = new Date(currentGame.date).toLocaleDateString();
+  const lines = [
+    'GameMoments Export',
+    `Date:     ${date}`,
+    `Opponent: ${currentGame.opponent}`,
+    `Logger:   ${gameLoggers().join(' + ')}`,
+    `Format:   ${formatSummary()}`,
+    // Multi-line notes stay indented under their label
+    ...gameDetailEntries(currentGame).map((d) => `${(d.label + ':').padEnd(9)} ${d.value.replace(/\n/g, '\n          ')}`),
+    '',
+    ...events.map(eventToDisplayLine),
+  ];
+
+  const kicks = getFilteredKicks();
+  if (kicks.length) lines.push('', shootoutSummary(), ...kicks.map(shootoutKickLine));
+
+  downloadFile(lines.join('\n'), buildFilename('txt'), 'text/plain;charset=utf-8;');
+}
+
+/* ─────────────────────────────────────────────
+   VIDEO CHAPTER EXPORTS
+   FFmpeg metadata, YouTube description chapters, SRT and CMX3600 EDL.
+   All share one timeline: video time = the game's video offset (where
+   H1 kickoff sits in the recording) + game_seconds — or, for a half
+   synced to video anchors, that half's fitted offset + t_half_seconds.
+   All respect the review filters exactly like exportCSV().
+───────────────────────────────────────────── */
+
+/** How long the last chapter / each subtitle cue runs, in seconds */
+const CHAPTER_TAIL_SECONDS = 30;
+const SRT_CUE_SECONDS      = 4;
+/** Only used for the 1-frame marker length; markers land on whole seconds */
+const EDL_FPS = 30;
+/** YouTube ignores the chapter list if any chapter is shorter than this */
+const YOUTUBE_MIN_CHAPTER_SECONDS = 10;
+
+/** Parse "1:02:03", "12:30" or plain seconds → seconds; null if unreadable */
+function parseTimecode(str) {
+  const parts = String(str).trim().split(':');
+  if (!parts.length || parts.length > 3 || parts.some((p) => !/^\d+(\.\d+)?$/.test(p))) return null;
+  return parts.reduce((sum, p) => sum * 60 + parseFloat(p), 0);
+}
+
+/** Seconds → "h:mm:ss" / "m:ss" (YouTube chapter style) */
+function formatVideoTime(totalSeconds) {
+  const s = Math.max(0, Math.floor(totalSeconds));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const r = (s % 60).toString().padStart(2, '0');
+  return h ? `${h}:${m.toString().padStart(2, '0')}:${r}` : `${m}:${r}`;
+}
+
+/** Read, validate and remember the review screen's video offset */
+async function readVideoOffset() {
+  const input  = document.getElementById('video-offset');
+  const offset = parseTimecode(input.value || '0');
+  if (offset === null) {
+    showToast('Video offset: use seconds or mm:ss');
+    return null;
+  }
+  if (currentGame.video_offset_seconds !== offset) {
+    currentGame.video_offset_seconds = offset;
+    await dbPut(STORE_GAMES, currentGame);
+  }
+  return offset;
+}
+
+/** Filtered events as chapters: [{ start, label, e }] sorted by video time */
+async function buildChapters() {
+  const events = getFilteredEvents();
+  if (!events.length) { showToast('No events to export'); return null; }
+
+  const offset = await readVideoOffset();
+  if (offset === null) return null;
+
+  const gameSeconds = gameSecondsFn();
+  const team        = gameTeam();
+  // Halves synced to video anchors carry their own kickoff position
+  const sync        = currentGame.video_sync || {};
+  return events
+    .map((e) => ({
+      start: sync[e.half] ? sync[e.half].offset + e.t_half_seconds : offset + gameSeconds(e),
+      label: (e.highlight ? '★ ' : '') + eventExportLabel(e.event_code, team) +
+             (playerLabel(e.player_id, team) ? ` (${playerLabel(e.player_id, team)})` : '') +
+             (e.note ? ` — ${e.note}` : ''),
+      e,
+    }))
+    .sort((a, b) => a.start - b.start);
+}
+
+function exportTitle() {
+  const date = new Date(currentGame.date).toISOString().slice(0, 10);
+  return `${gameTeam().name} vs ${currentGame.opponent} - ${date}`;
+}
+
+/** FFMETADATA1 chapters for `ffmpeg -i video -i meta.txt -map_metadata 1` */
+async function exportFFMetadata() {
+  const chapters = await buildChapters();
+  if (!chapters) return;
+
+  // FFmpeg metadata escaping: = ; # \ and newline take a backslash
+  const ffEsc = (str) => String(str).replace(/[=;#\\\n]/g, (c) => `\\${c}`);
+
+  const lines = [';FFMETADATA1', `title=${ffEsc(exportTitle())}`, ''];
+  chapters.forEach((c, i) => {
+    const next = chapters[i + 1];
+    const end  = next ? Math.max(next.start, c.start + 1) : c.start + CHAPTER_TAIL_SECONDS;
+    lines.push(
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      `START=${Math.round(c.start * 1000)}`,
+      `END=${Math.round(end * 1000) - 1}`,
+      `title=${ffEsc(c.label)}`,
+      '',
+    );
+  });
+
+  downloadFile(lines.join('\n'), buildFilename('ffmetadata.txt'), 'text/plain;charset=utf-8;');
+}
+
+/**
+ * YouTube description chapters. YouTube only accepts the list if it starts
+ * at 0:00 and every chapter lasts ≥10 s, so a "Start" chapter is added when
+ * needed and events closer together than that share one line.
+ */
+async function exportYouTubeChapters() {
+  const chapters = await buildChapters();
+  if (!chapters) return;
+
+  const merged = [];
+  chapters.forEach((c) => {
+    const prev = merged[merged.length - 1];
+    if (prev && c.start - prev.start < YOUTUBE_MIN_CHAPTER_SECONDS) {
+      prev.label += ` / ${c.label}`;
+    } else {
+      merged.push({ start: Math.floor(c.start), label: c.label });
+    }
+  });
+  if (merged[0].start >= YOUTUBE_MIN_CHAPTER_SECONDS) {
+    merged.unshift({ start: 0, label: 'Start' });
+  } else {
+    merged[0].start = 0;
+  }
+
+  const lines = merged.map((c) => `${formatVideoTime(c.start)} ${c.label}`);
+  downloadFile(lines.join('\n'), buildFilename('chapters.txt'), 'text/plain;charset=utf-8;');
+}
+
+/** SRT subtitle track: one short cue per event, burned-in style caption */
+async function exportSRT() {
+  const chapters = await buildChapters();
+  if (!chapters) return;
+
+  const srtTime = (sec) => {
+    const ms = Math.round(sec * 1000);
+    const h  = Math.floor(ms / 3600000).toString().padStart(2, '0');
+    const m  = Math.floor((ms % 3600000) / 60000).toString().padStart(2, '0');
+    const s  = Math.floor((ms % 60000) / 1000).toString().padStart(2, '0');
+    return `${h}:${m}:${s},${(ms % 1000).toString().padStart(3, '0')}`;
+  };
+
+  const cues = chapters.map((c, i) => [
+    i + 1,
+    `${srtTime(c.start)} --> ${srtTime(c.start + SRT_CUE_SECONDS)}`,
+    `${periodShort(c.e.half)} ${formatTime(c.e.t_half_seconds)} ${c.label}`,
+    '',
+  ].join('\r\n'));
+
+  downloadFile(cues.join('\r\n'), buildFilename('srt'), 'application/x-subrip;charset=utf-8;');
+}
+
+/**
+ * CMX3600 EDL with one marker per event, in the marker-comment dialect
+ * DaVinci Resolve / Premiere read (|C: colour |M: name |D: duration).
+ */
+async function exportEDL() {
+  const chapters = await buildChapters();
+  if (!chapters) return;
+
+  const tc = (sec, extraFrames = 0) => {
+    const s = Math.floor(sec);
+    return [Math.floor(s / 3600), Math.floor((s % 3600) / 60), s % 60, extraFrames]
+      .map((n) => n.toString().padStart(2, '0')).join(':');
+  };
+  const colour = (code) => {
+    if (eventFamily(code) === 'GOAL') return 'ResolveColorYellow';
+    return isOurEvent(code) ? 'ResolveColorBlue' : 'ResolveColorRed';
+  };
+  // EDL is a 7-bit, line-oriented format — keep names plain and pipe-free
+  const plain = (str) => String(str).replace(/[^\x20-\x7e]/g, '').replace(/\|/g, '/');
+
+  const lines = [`TITLE: ${plain(exportTitle())}`, 'FCM: NON-DROP FRAME', ''];
+  chapters.forEach((c, i) => {
+    const n = (i + 1).toString().padStart(3, '0');
+    lines.push(
+      `${n}  001      V     C        ${tc(c.start)} ${tc(c.start, 1)} ${tc(c.start)} ${tc(c.start, 1)}  `,
+      ` |C:${colour(c.e.event_code)} |M:${plain(c.label)} |D:1`,
+      '',
+    );
+  });
+
+  downloadFile(lines.join('\r\n'), buildFilename('edl'), 'text/plain;charset=utf-8;');
+}
+
+/* ─────────────────────────────────────────────
+   CLIP LIST
+   The filtered events as video cuts: each event's chapter time (video
+   offset + game_seconds, as in exportCSV(), or its synced half's anchors)
+   widened by a pre-roll and post-roll per event family. Windows that
+   overlap or touch merge into one clip. Exported as a JSON or CSV cut
+   list, or as an ffmpeg script that cuts and joins the clips.
+───────────────────────────────────────────── */
+
+/** Key of the meta record holding { family: { pre, post } } in seconds */
+const META_CLIP_ROLLS   = 'clip_rolls';
+const DEFAULT_CLIP_ROLL = { pre: 10, post: 5 };
+/** Goals get the build-up and the celebration */
+const DEFAULT_CLIP_ROLLS = { GOAL: { pre: 20, post: 10 } };
+const CLIP_FILE_FORMAT  = 'gamemoments-clips';
+
+async function loadClipRolls() {
+  const saved = await dbGet(STORE_META, META_CLIP_ROLLS);
+  return saved ? saved.value : {};
+}
+
+function clipRoll(family, rolls) {
+  return rolls[family] || DEFAULT_CLIP_ROLLS[family] || DEFAULT_CLIP_ROLL;
+}
+
+/** Chapters → [{ start, end, chapters }] in video seconds, overlaps merged */
+function buildClips(chapters, rolls) {
+  const clips = [];
+  chapters
+    .map((c) => {
+      const { pre, post } = clipRoll(eventFamily(c.e.event_code), rolls);
+      return { start: Math.max(0, c.start - pre), end: c.start + post, chapters: [c] };
+    })
+    .sort((a, b) => a.start - b.start)
+    .forEach((w) => {
+      const last = clips[clips.length - 1];
+      if (last && w.start <= last.end) {
+        last.end = Math.max(last.end, w.end);
+        last.chapters.push(...w.chapters);
+      } else {
+        clips.push(w);
+      }
+    });
+  // A longer pre-roll can pull a later event's window ahead of an earlier one
+  clips.forEach((c) => c.chapters.sort((a, b) => a.start - b.start));
+  return clips;
+}
+
+async function openClipList() {
+  const chapters = await buildChapters();
+  if (!chapters) return;
+
+  const rolls = await loadClipRolls();
+  // Every family on the grid, plus any hidden one these events use
+  const used  = new Set(chapters.map((c) => eventFamily(c.e.event_code)));
+  const types = eventTypes.filter((t) => !t.hidden || used.has(t.code));
+
+  const body = openSheet('CLIP LIST', `
+    <div class="field-group">
+      <label class="field-label" for="clip-source">SOURCE VIDEO</label>
+      <input class="field-input" type="text" id="clip-source" autocomplete="off"
+             value="${esc(currentGame.video_file || 'match.mp4')}">
+    </div>
+    <div class="clip-rolls">
+      <span class="field-label">EVENT</span><span class="field-label">PRE s</span><span class="field-label">POST s</span>
+      ${types.map((t) => {
+        const { pre, post } = clipRoll(t.code, rolls);
+        return `
+      <span class="clip-family${used.has(t.code) ? '' : ' clip-unused'}">${esc(t.name)}</span>
+      <input class="adjust-input" type="number" min="0" data-family="${esc(t.code)}" data-edge="pre"  value="${pre}">
+      <input class="adjust-input" type="number" min="0" data-family="${esc(t.code)}" data-edge="post" value="${post}">`;
+      }).join('')}
+    </div>
+    <div class="adjust-hint">The Sportscode XML export uses these as each instance's lead and lag.</div>
+    <div class="adjust-hint" id="clip-summary"></div>
+    <div class="sheet-actions">
+      <button id="clip-json"   class="btn-secondary">JSON</button>
+      <button id="clip-csv"    class="btn-secondary">CSV</button>
+      <button id="clip-script" class="btn-secondary">FFMPEG SCRIPT</button>
+    </div>`);
+
+  const readRolls = () => {
+    const next = { ...rolls };
+    body.querySelectorAll('.clip-rolls input').forEach((input) => {
+      const value = Math.max(0, Number(input.value) || 0);
+      next[input.dataset.family] = { ...clipRoll(input.dataset.family, next), [input.dataset.edge]: value };
+    });
+    return next;
+  };
+  const summarise = () => {
+    const clips = buildClips(chapters, readRolls());
+    const total = clips.reduce((sum, c) => sum + c.end - c.start, 0);
+    body.querySelector('#clip-summary').textContent =
+      `${chapters.length} event${chapters.length !== 1 ? 's' : ''} → ${clips.length} clip${clips.length !== 1 ? 's' : ''}, ${formatVideoTime(total)} in all`;
+  };
+  body.querySelector('.clip-rolls').addEventListener('input', summarise);
+  summarise();
+
+  const exporters = { 'clip-json': exportClipJSON, 'clip-csv': exportClipCSV, 'clip-script': exportClipScript };
+  Object.entries(exporters).forEach(([id, exporter]) => {
+    body.querySelector(`#${id}`).addEventListener('click', async () => {
+      const source = body.querySelector('#clip-source').value.trim();
+      if (!source) { showToast('Enter the source video file name'); return; }
+      const next = readRolls();
+      await dbPut(STORE_META, { key: META_CLIP_ROLLS, value: next });
+      if (currentGame.video_file !== source) {
+        currentGame.video_file = source;
+        await dbPut(STORE_GAMES, currentGame);
+      }
+      exporter(buildClips(chapters, next), source);
+    });
+  });
+}
+
+/** What each clip shows, one entry per event, for every cut list format */
+function clipEvents(clip) {
+  const gameSeconds = gameSecondsFn();
+  return clip.chapters.map(({ e, label, start }) => ({
+    period:       periodShort(e.half),
+    clock:        formatEventTime(e.half, e.t_half_seconds),
+    game_seconds: gameSeconds(e),
+    video_seconds: start,
+    label,
+  }));
+}
+
+function exportClipJSON(clips, source) {
+  const file = {
+    format:  CLIP_FILE_FORMAT,
+    title:   exportTitle(),
+    source,
+    clips:   clips.map((c, i) => ({
+      clip:     i + 1,
+      start:    c.start,
+      end:      c.end,
+      duration: c.end - c.start,
+      events:   clipEvents(c),
+    })),
+  };
+  downloadFile(JSON.stringify(file, null, 1), buildFilename('clips.json'), 'application/json;charset=utf-8;');
+}
+
+function exportClipCSV(clips) {
+  const header = [
+    'clip', 'start_seconds', 'end_seconds', 'duration_seconds',
+    'start_timecode', 'end_timecode', 'event_count', 'game_seconds', 'labels',
+  ];
+  const rows = clips.map((c, i) => {
+    const events = clipEvents(c);
+    return [
+      i + 1,
+      c.start.toFixed(3),
+      c.end.toFixed(3),
+      (c.end - c.start).toFixed(3),
+      formatVideoTime(c.start),
+      formatVideoTime(c.end),
+      events.length,
+      events.map((e) => e.game_seconds).join(' / '),
+      events.map((e) => `${e.period} ${e.clock} ${e.label}`).join(' / '),
+    ];
+  });
+  downloadFile(toCSV([header, ...rows]), buildFilename('clips.csv'), 'text/csv;charset=utf-8;');
+}
+
+/**
+ * POSIX sh script: cut each clip from the source (re-encoded, so cuts land
+ * exactly rather than on the nearest keyframe), then concatenate them.
+ * The source can be overridden with the script's first argument.
+ */
+function exportClipScript(clips, source) {
+  const shQuote = (str) => `'${String(str).replace(/'/g, `'\\''`)}'`;
+  const comment = (str) => String(str).replace(/[\r\n]+/g, ' ');
+  const output  = buildFilename('highlights.mp4');
+
+  const lines = [
+    '#!/bin/sh',
+    `# ${comment(exportTitle())} — ${clips.length} clip${clips.length !== 1 ? 's' : ''}`,
+    '# Usage: sh this-script.sh [source-video]',
+    'set -e',
+    'SRC=${1:-}',
+    `[ -n "$SRC" ] || SRC=${shQuote(source)}`,
+    `OUT=${shQuote(output)}`,
+    'TMP=$(mktemp -d)',
+    '',
+  ];
+  clips.forEach((c, i) => {
+    const n = String(i + 1).padStart(3, '0');
+    clipEvents(c).forEach((e) => lines.push(`# ${n}: ${e.period} ${e.clock} ${comment(e.label)}`));
+    lines.push(
+      `ffmpeg -hide_banner -loglevel error -y -ss ${c.start.toFixed(3)} -i "$SRC" -t ${(c.end - c.start).toFixed(3)} ` +
+      `-c:v libx264 -preset veryfast -crf 20 -c:a aac "$TMP/clip_${n}.mp4"`,
+    );
+  });
+  lines.push(
+    '',
+    'for f in "$TMP"/clip_*.mp4; do printf "file \'%s\'\\n" "$f"; done > "$TMP/list.txt"',
+    'ffmpeg -hide_banner -loglevel error -y -f concat -safe 0 -i "$TMP/list.txt" -c copy "$OUT"',
+    'rm -r "$TMP"',
+    'echo "Wrote $OUT"',
+    '',
+  );
+
+  downloadFile(lines.join('\n'), buildFilename('clips.sh'), 'text/x-shellscript;charset=utf-8;');
+}
+
+/* ─────────────────────────────────────────────
+   SPORTSCODE XML
+   Hudl Sportscode's timeline interchange: <file><ALL_INSTANCES> holding
+   one <instance> per coded moment — ID, start, end (video seconds), code
+   and <label><group>…</group><text>…</text></label> pairs. Each filtered
+   event becomes an instance coded by its event type's name, with the
+   clip list pre/post roll as lead and lag; each period it touches becomes
+   an H1 / H2… instance spanning that period. Importing reverses this into
+   a new game: the period instances place events within their period, and
+   an event's time is its instance start plus its lead. Two labels make
+   the round trip exact: Type holds the type's code (which never changes,
+   unlike its name), and Lead the lead, since it is cut short when the
+   event is near the start of the video.
+───────────────────────────────────────────── */
+
+const SPORTSCODE_FLAG_HIGHLIGHT = 'Highlight';
+const SPORTSCODE_LEAD_GROUP     = 'Lead';
+const SPORTSCODE_TYPE_GROUP     = 'Type';
+
+/**
+ * The format that periodShort() labels like these came from: H1/H2 are
+ * halves, Q1–Q4 quarters, P1… plain periods, ETn extra time. Minutes and
+ * clock direction come from the setup format.
+ */
+function formatFromPeriodCodes(labels) {
+  const format  = { ...matchFormat };
+  const codes   = labels.map((label) => /^(H|Q|P|ET)(\d+)$/i.exec(String(label).trim())).filter(Boolean);
+  const regular = codes.filter((m) => m[1].toUpperCase() !== 'ET');
+  const extra   = codes.filter((m) => m[1].toUpperCase() === 'ET').map((m) => Number(m[2]));
+  if (regular.length) {
+    const letter = regular[0][1].toUpperCase();
+    format.periods = letter === 'H' ? 2 : letter === 'Q' ? 4 : Math.max(...regular.map((m) => Number(m[2])));
+  }
+  if (extra.length) format.extra_periods = Math.max(...extra);
+  return normaliseFormat(format);
+}
+
+/** Where each period starts in the video — the chapters' timeline */
+function periodVideoStart(half, offset, gameSeconds) {
+  const sync = currentGame.video_sync || {};
+  return sync[half] ? sync[half].offset : offset + gameSeconds({ half, t_half_seconds: 0 });
+}
+
+async function exportSportscodeXML() {
+  const chapters = await buildChapters();
+  if (!chapters) return;
+
+  const rolls       = await loadClipRolls();
+  const team        = gameTeam();
+  const offset      = currentGame.video_offset_seconds || 0;
+  const gameSeconds = gameSecondsFn();
+  const halves      = [...new Set(chapters.map((c) => c.e.half))].sort((a, b) => a - b);
+
+  const instances = [
+    ...halves.map((half) => {
+      const start = periodVideoStart(half, offset, gameSeconds);
+      return { start, end: start + periodDurationSeconds(half), code: periodShort(half), labels: [] };
+    }),
+    ...chapters.map(({ e, start }) => {
+      const family = eventFamily(e.event_code);
+      const { pre, post } = clipRoll(family, rolls);
+      const lead = Math.min(pre, start);
+      return {
+        start:  start - lead,
+        end:    start + post,
+        code:   eventType(family)?.name ?? family,
+        labels: [
+          [SPORTSCODE_TYPE_GROUP, family],
+          [SPORTSCODE_LEAD_GROUP, String(lead)],
+          ['Team',   isOurEvent(e.event_code) ? team.name : currentGame.opponent],
+          ['Period', periodShort(e.half)],
+          ['Player', playerLabel(e.player_id, team)],
+          ['Note',   e.note],
+          ['Flag',   e.highlight ? SPORTSCODE_FLAG_HIGHLIGHT : ''],
+        ].filter(([, text]) => text),
+      };
+    }),
+  ].sort((a, b) => a.start - b.start);
+
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<file>', '  <ALL_INSTANCES>'];
+  instances.forEach((inst, i) => {
+    lines.push(
+      '    <instance>',
+      `      <ID>${i + 1}</ID>`,
+      `      <start>${inst.start.toFixed(2)}</start>`,
+      `      <end>${inst.end.toFixed(2)}</end>`,
+      `      <code>${esc(inst.code)}</code>`,
+      ...inst.labels.map(([group, text]) =>
+        `      <label><group>${esc(group)}</group><text>${esc(text)}</text></label>`),
+      '    </instance>',
+    );
+  });
+  lines.push('  </ALL_INSTANCES>', '</file>', '');
+
+  downloadFile(lines.join('\n'), buildFilename('xml'), 'application/xml;charset=utf-8;');
+}
+
+/** XML text → [{ start, end, code, labels: { group: text } }], or throws */
+function parseSportscodeXML(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) throw new Error('File is not valid XML');
+
+  const instances = [...doc.getElementsByTagName('instance')];
+  if (!instances.length) throw new Error('No Sportscode instances in that file');
+
+  const child = (el, tag) => {
+    const node = el.getElementsByTagName(tag)[0];
+    return node ? node.textContent.trim() : '';
+  };
+  return instances.map((inst) => {
+    const labels = {};
+    [...inst.getElementsByTagName('label')].forEach((label) => {
+      // Ungrouped labels are kept under their own text
+      const text = child(label, 'text');
+      labels[child(label, 'group') || text] = text;
+    });
+    return { start: Number(child(inst, 'start')), end: Number(child(inst, 'end')), code: child(inst, 'code'), labels };
+  });
+}
+
+/**
+ * A Sportscode timeline as a new game for the team picked on setup.
+ * The opponent is the other Team label; the date is today's, editable
+ * from the saved games list.
+ */
+async function importSportscodeXML(text) {
+  const instances = parseSportscodeXML(text);
+  const rolls     = await loadClipRolls();
+  const team      = selectedTeamProfile();
+  const ours      = [team.name, team.short, 'PFC'].map((n) => n.toLowerCase());
+  const format    = formatFromPeriodCodes(instances.map((inst) => inst.code));
+
+  // Period instances: where each period starts in the video
+  const periodStarts = {};
+  const events = [];
+  instances.forEach((inst) => {
+    const half = periodFromShort(inst.code, format);
+    if (half && Number.isFinite(inst.start)) {
+      periodStarts[half] = Math.min(periodStarts[half] ?? Infinity, inst.start);
+    } else {
+      events.push(inst);
+    }
+  });
+  const halves = Object.keys(periodStarts).map(Number).sort((a, b) => a - b);
+
+  let opponent = '';
+  let skipped  = 0;
+  const game_id = `game_${Date.now()}`;
+  const imported = [];
+  events.forEach((inst) => {
+    // Our own Type label first; timelines from elsewhere only have the code
+    const key  = inst.code.toLowerCase();
+    const type = eventTypes.find((t) => t.code === inst.labels[SPORTSCODE_TYPE_GROUP]) ||
+      eventTypes.find((t) => [t.name, t.code, t.slug].some((n) => n.toLowerCase() === key));
+    if (!type || !Number.isFinite(inst.start)) { skipped++; return; }
+
+    const teamLabel = inst.labels.Team || '';
+    const side      = !teamLabel || ours.includes(teamLabel.toLowerCase()) ? 'PFC' : 'OPP';
+    if (side === 'OPP' && !opponent) opponent = teamLabel;
+
+    // Timelines from elsewhere have no Lead label: assume our own roll
+    const lead  = Number(inst.labels[SPORTSCODE_LEAD_GROUP]);
+    const video = inst.start + (Number.isFinite(lead) && lead >= 0 ? lead : clipRoll(type.code, rolls).pre);
+    // The Period label wins; else the last period instance starting by then
+    const half  = periodFromShort(inst.labels.Period || '', format) ||
+      halves.filter((h) => periodStarts[h] <= video).pop() || 1;
+    const player = (team.players || []).find((p) => playerLabel(p.player_id, team) === inst.labels.Player);
+
+    imported.push(setAnnotation({
+      event_id:       `ev_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+      game_id,
+      half,
+      t_half_seconds: Math.max(0, Math.round(video - (periodStarts[half] ?? 0))),
+      event_code:     `${type.code}_${side}`,
+      player_id:      player ? player.player_id : null,
+      created_at:     new Date().toISOString(),
+    }, inst.labels.Note || '', inst.labels.Flag === SPORTSCODE_FLAG_HIGHLIGHT));
+  });
+  if (!imported.length) throw new Error('No instances match an event type');
+
+  const { team_id, name, short, color, players = [] } = team;
+  const game = {
+    game_id,
+    date:        new Date().toISOString(),
+    opponent:    opponent || 'Unknown',
+    logger_name: 'Sportscode',
+    team:        { team_id, name, short, color, players },
+    format,
+    periods:     [],
+    // Keep the video timeline: chapters and clips land where they came from
+    video_offset_seconds: periodStarts[1] ?? 0,
+    video_sync:  Object.fromEntries(halves.map((h) => [h, { offset: periodStarts[h], scale: 1 }])),
+  };
+  game.summary = gameRecordSummary(game, imported);
+  await dbImport({ [STORE_GAMES]: [game], [STORE_EVENTS]: imported });
+
+  await loadSavedGame(game_id);
+  showToast(`Imported ${imported.length} event${imported.length !== 1 ? 's' : ''}` +
+    (skipped ? ` · ${skipped} instance${skipped !== 1 ? 's' : ''} skipped` : ''));
+}
+
+/** Rows → CSV text, every field quoted (RFC 4180) */
+function toCSV(rows) {
+  return rows
+    .map((row) => row.map((v) => `"${String(v).replace(/"/g, '""')}"`).join(','))
+    .join('\r\n');
+}
+
+function buildFilename(ext) {
+  const date = new Date(currentGame.date).toISOString().slice(0, 10);
+  const opp  = currentGame.opponent.replace(/[^a-z0-9]/gi, '_').slice(0, 20);
+  return `GameMoments_${date}_${opp}.${ext}`;
+}
+
+function downloadFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url  = URL.createObjectURL(blob);
+  const a    = document.createElement('a');
+  a.href     = url;
+  a.download = filename;
+  a.style.display = 'none';
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/** The current game and all its events as a JSON game file (for merging) */
+function exportGameJSON() {
+  if (!currentEvents.length) { showToast('No events to export'); return; }
+  const file = {
+    format:      GAME_FILE_FORMAT,
+    version:     GAME_FILE_VERSION,
+    exported_at: new Date().toISOString(),
+    game:        currentGame,
+    events:      [...currentEvents, ...shootoutKicks],
+  };
+  downloadFile(JSON.stringify(file, null, 1), buildFilename('json'), 'application/json;charset=utf-8;');
+}
+
+
+/* ─────────────────────────────────────────────
+   IMPORT PARSING
+   Turns our own export files back into events: the CSV from exportCSV()
+   and the JSON game file from exportGameJSON().
+───────────────────────────────────────────── */
+
+const GAME_FILE_FORMAT  = 'gamemoments-game';
+const GAME_FILE_VERSION = 1;
+
+/** RFC 4180 CSV → array of rows (arrays of strings). Handles quoted fields
+ *  with embedded commas, quotes ("") and line breaks, CRLF or LF. */
+function parseCSV(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  const src = text.replace(/^\uFEFF/, '');   // Excel likes to add a BOM
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c !== '"')               field += c;
+      else if (src[i + 1] === '"') { field += '"'; i++; }
+      else                         quoted = false;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field); field = '';
+    } else if (c === '\r' || c === '\n') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); rows.push(row);
+      row = []; field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  // Drop blank lines (a trailing newline leaves one behind)
+  return rows.filter((r) => r.length > 1 || r[0].trim() !== '');
+}
+
+/** CSV text → { header, records: [{ column: value }] } keyed by header name */
+function parseCSVRecords(text) {
+  const [header = [], ...rows] = parseCSV(text);
+  const keys = header.map((h) => h.trim().toLowerCase());
+  return {
+    header:  keys,
+    records: rows.map((r) => Object.fromEntries(keys.map((k, i) => [k, (r[i] ?? '').trim()]))),
+  };
+}
+
+/**
+ * Map an export code (goal_kick_pfc / goal_kick_opp) back to a stored code
+ * (GK_PFC / GK_OPP) — the inverse of eventExportCode(). A CSV written
+ * under another team profile has a different our-team suffix, so fall
+ * back to the event_family and team columns. null if unknown.
+ */
+function internalCodeFromExport(exportCode, family, teamCode, team = gameTeam()) {
+  for (const t of eventTypes) {
+    for (const side of ['PFC', 'OPP']) {
+      if (eventExportCode(`${t.code}_${side}`, team) === exportCode) return `${t.code}_${side}`;
+    }
+  }
+  const type = eventTypes.find((t) => t.slug === family);
+  if (!type || !teamCode) return null;
+  return `${type.code}_${teamCode === 'opp' ? 'OPP' : 'PFC'}`;
+}
+
+/** The CSV logger column as names: exportCSV() joins an event's loggers with ' + ' */
+function csvLoggers(text) {
+  return (text || '').split(' + ').map((name) => name.trim()).filter(Boolean);
+}
+
+/**
+ * One exportCSV() row → partial event { half, t_half_seconds, event_code,
+ * player_id, loggers }, or { error } explaining why the row can't be used.
+ */
+function eventFromCSVRecord(r, team = gameTeam(), format = gameFormat()) {
+  const half = periodFromShort(r.period || '', format);
+  if (!half) return { error: `unknown period "${r.period}"` };
+
+  const t = r.clock_seconds !== '' && r.clock_seconds !== undefined
+    ? Number(r.clock_seconds) : parseTimecode(r.clock_text || '');
+  if (t === null || !Number.isFinite(t) || t < 0) return { error: `bad time "${r.clock_seconds ?? r.clock_text}"` };
+
+  const code = internalCodeFromExport(r.event_code, r.event_family, r.team, team);
+  if (!code) return { error: `unknown event "${r.event_code}"` };
+
+  // Players are matched back to this game's roster by number and name
+  const player = (team.players || []).find((p) =>
+    (r.player_name || r.player_number) &&
+    p.name === (r.player_name || '') && String(p.number) === (r.player_number || ''));
+
+  return {
+    half,
+    t_half_seconds: t,
+    event_code:     code,
+    player_id:      player ? player.player_id : null,
+    loggers:        csvLoggers(r.logger),
+    note:           r.note || '',
+    highlight:      r.highlight === '1',
+  };
+}
 
-  renderEventsList();
-  showToast('Times adjusted');
+/**
+ * Read a merge source file: our CSV export or a JSON game file.
+ * Resolves { loggers, events, errors } with events in partial form (see
+ * eventFromCSVRecord) — a file that was itself merged credits several
+ * loggers, per event — or throws with a user-facing message.
+ */
+async function readGameLogFile(file) {
+  const text = await file.text();
+
+  if (/\.json$/i.test(file.name) || text.trim().startsWith('{')) {
+    let data;
+    try { data = JSON.parse(text); } catch (_) { throw new Error('File is not valid JSON'); }
+    if (data.format !== GAME_FILE_FORMAT || !data.game || !Array.isArray(data.events)) {
+      throw new Error('Not a GameMoments game file');
+    }
+    // Shootout kicks aren't merged: one logger's record of them is enough
+    const logged = data.events.filter((e) => !(typeof e.event_code === 'string' && isShootoutEvent(e)));
+    const events = logged
+      .filter((e) => typeof e.event_code === 'string' && Number.isFinite(e.half) && Number.isFinite(e.t_half_seconds))
+      .map((e) => ({ ...e, loggers: data.game.logger_name ? eventLoggers(e, data.game) : [] }));
+    const skipped = logged.length - events.length;
+    return {
+      loggers: data.game.logger_name ? gameLoggers(data.game) : ['Other logger'],
+      events,
+      errors: skipped ? [`${skipped} malformed event${skipped !== 1 ? 's' : ''} skipped`] : [],
+    };
+  }
+
+  const { header, records } = parseCSVRecords(text);
+  if (!header.includes('event_code') || !header.includes('period')) {
+    throw new Error('Not a GameMoments CSV export');
+  }
+  const events = [], errors = [];
+  records.forEach((r, i) => {
+    if (r.period === SHOOTOUT_CODE) return;   // shootout kicks aren't merged
+    const ev = eventFromCSVRecord(r);
+    if (ev.error) errors.push(`Row ${i + 2}: ${ev.error}`);
+    else          events.push(ev);
+  });
+  const loggers = [...new Set(events.flatMap((e) => e.loggers))];
+  return { loggers: loggers.length ? loggers : ['Other logger'], events, errors };
 }
 
 
 /* ─────────────────────────────────────────────
-   EXPORT
+   IMPORT A GAME
+   The saved games list imports a Sportscode XML timeline (see above) or
+   our own CSV export as a new game. Everything a CSV export holds comes
+   back: date, opponent, details, loggers, notes, players (matched on the
+   team profile whose short name the team column uses), shootout kicks,
+   and — from the period, clock and game_seconds columns — the period
+   layout and lengths, so re-exporting gives the same file.
 ───────────────────────────────────────────── */
 
-function eventToDisplayLine(e) {
-  return `H${e.half} ${formatTime(e.t_half_seconds)} ${EVENT_DISPLAY[e.event_code] || e.event_code}`;
+function pickImportFile() {
+  if (gameActive) { showToast('End the game before importing'); return; }
+  document.getElementById('input-import').click();
 }
 
-function exportCSV() {
-  const events = getFilteredEvents();
-  if (!events.length) { showToast('No events to export'); return; }
+async function onImportFilePicked(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
 
-  // ISO date for the game, e.g. "2026-03-15"
-  const dateStr = new Date(currentGame.date).toISOString().slice(0, 10);
+  try {
+    const text = await file.text();
+    if (/\.xml$/i.test(file.name) || text.trim().startsWith('<')) await importSportscodeXML(text);
+    else showCSVImport(gameFromCSV(text));
+  } catch (err) {
+    showToast(err.message);
+  }
+}
 
-  // H1 duration offset for game_seconds: derived from the latest H1 timestamp
-  // across ALL events (not just filtered), so H2 offsets are always correct.
-  // If no H1 events exist, offset defaults to 0.
-  const h1Duration = currentEvents
-    .filter((e) => e.half === 1)
-    .reduce((max, e) => Math.max(max, e.t_half_seconds), 0);
+/** The most common of some candidate values, or null if there are none */
+function mostCommon(values) {
+  const counts = new Map();
+  values.forEach((v) => counts.set(v, (counts.get(v) || 0) + 1));
+  let best = null;
+  counts.forEach((n, v) => { if (best === null || n > counts.get(best)) best = v; });
+  return best;
+}
 
-  const header = [
-    'date', 'opponent', 'logger', 'period',
-    'clock_text', 'clock_seconds', 'game_seconds',
-    'event_code', 'team', 'event_family', 'event_label',
-  ];
+/**
+ * Period and extra-time minutes, read back from the added_time_seconds
+ * and match_minute columns: an added-time row's nominal end is clock −
+ * added; a later period's match minute counts the minutes before it.
+ */
+function inferFormatMinutes(records, format) {
+  const candidates = (extra) => records.flatMap((r) => {
+    const half = periodFromShort(r.period || '', format);
+    if (!half || isExtraTime(half, format) !== extra) return [];
+    const t      = Number(r.clock_seconds);
+    const added  = Number(r.added_time_seconds);
+    const minute = Number(r.match_minute);
+    if (![t, added, minute].every(Number.isFinite) || r.clock_seconds === '') return [];
+
+    const n = extra ? half - format.periods : half;   // 1st, 2nd… of its kind
+    let m = null;
+    if (added > 0)  m = (t - added) / 60;
+    else if (n > 1) m = (minute - Math.floor(t / 60) - 1 - (extra ? format.periods * format.period_minutes : 0)) / (n - 1);
+    return Number.isInteger(m) && m > 0 ? [m] : [];
+  });
 
-  const rows = events.map((e) => {
-    const exportCode = EXPORT_CODE_MAP[e.event_code] || e.event_code.toLowerCase();
-    const team       = e.event_code.endsWith('_PFC') ? 'pfc' : 'opp';
-    // event_family: strip the _pfc / _opp suffix
-    const family     = exportCode.replace(/_(pfc|opp)$/, '');
-    const label      = EXPORT_LABEL_MAP[exportCode] || exportCode;
-    // game_seconds: H1 counts from 0; H2 continues from end of H1
-    const gameSec    = e.half === 1 ? e.t_half_seconds : e.t_half_seconds + h1Duration;
+  const minutes = mostCommon(candidates(false));
+  if (minutes !== null) format.period_minutes = minutes;
+  const extraMinutes = mostCommon(candidates(true));
+  if (extraMinutes !== null) format.extra_minutes = extraMinutes;
+  return normaliseFormat(format);
+}
 
-    return [
-      dateStr,
-      currentGame.opponent,
-      currentGame.logger_name,
-      `H${e.half}`,
-      formatTime(e.t_half_seconds), // quoted mm:ss string — won't be parsed as time-of-day
-      e.t_half_seconds,
-      gameSec,
-      exportCode,
-      team,
-      family,
-      label,
-    ];
+/**
+ * exportCSV() text → { game, events, kicks, errors } for a new game, or
+ * throws with a user-facing message. errors lists the rows left out.
+ */
+function gameFromCSV(text) {
+  const { header, records } = parseCSVRecords(text);
+  if (!['event_code', 'period', 'opponent'].every((col) => header.includes(col))) {
+    throw new Error('Not a GameMoments CSV export');
+  }
+  if (!records.length) throw new Error('No rows in that file');
+
+  const first   = records[0];
+  const ourCode = (records.find((r) => r.team && r.team !== 'opp') || {}).team;
+  const team    = teamProfiles.find((t) => t.short.toLowerCase() === ourCode) || selectedTeamProfile();
+  const format  = inferFormatMinutes(records, formatFromPeriodCodes(records.map((r) => r.period)));
+
+  // exportCSV() writes the UTC date; noon UTC keeps that date everywhere
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(first.date) ? new Date(`${first.date}T12:00:00Z`) : new Date();
+  const game_id = `game_${Date.now()}`;
+  const newId   = () => `ev_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+  const player  = (r) => (team.players || []).find((p) =>
+    (r.player_name || r.player_number) &&
+    p.name === (r.player_name || '') && String(p.number) === (r.player_number || ''));
+
+  const events = [], kicks = [], errors = [], offsets = {};
+  records.forEach((r, i) => {
+    if (r.period === SHOOTOUT_CODE) {
+      const outcome = r.shootout_result;
+      if (!SHOOTOUT_OUTCOMES.some(([value]) => value === outcome)) {
+        errors.push(`Row ${i + 2}: unknown penalty result "${outcome}"`);
+        return;
+      }
+      const p = player(r);
+      kicks.push({
+        event_id:       newId(),
+        game_id,
+        half:           SHOOTOUT_HALF,
+        t_half_seconds: 0,
+        event_code:     `${SHOOTOUT_CODE}_${r.team === 'opp' ? 'OPP' : 'PFC'}`,
+        outcome,
+        kick:           kicks.length + 1,
+        player_id:      p ? p.player_id : null,
+        loggers:        csvLoggers(r.logger),
+        created_at:     date.toISOString(),
+      });
+      return;
+    }
+
+    const ev = eventFromCSVRecord(r, team, format);
+    if (ev.error) { errors.push(`Row ${i + 2}: ${ev.error}`); return; }
+    // game_seconds − clock is where the period starts in game time
+    const gameSec = Number(r.game_seconds);
+    if (r.game_seconds !== '' && Number.isFinite(gameSec)) offsets[ev.half] = gameSec - ev.t_half_seconds;
+
+    events.push(setAnnotation({
+      event_id:       newId(),
+      game_id,
+      half:           ev.half,
+      t_half_seconds: ev.t_half_seconds,
+      event_code:     ev.event_code,
+      player_id:      ev.player_id,
+      loggers:        ev.loggers,
+      created_at:     date.toISOString(),
+    }, ev.note, ev.highlight));
   });
 
-  const csv = [header, ...rows]
-    .map((row) => row.map((v) => `"${String(v).replace(/"/g, '""')}"`).join(','))
-    .join('\r\n');
+  // One logger: the game's own. Several (a merged game): credited per event
+  const names = [...new Set([...events, ...kicks].flatMap((e) => e.loggers))];
+  [...events, ...kicks].forEach((e) => { if (names.length < 2 || !e.loggers.length) delete e.loggers; });
+
+  // Period lengths are the gaps between period starts; the last one
+  // runs to its latest event, which is what game_seconds assumes anyway
+  const halves  = Object.keys(offsets).map(Number).sort((a, b) => a - b);
+  const periods = halves.map((half, i) => {
+    const next = halves[i + 1];
+    const length = next !== undefined ? offsets[next] - offsets[half]
+      : events.filter((e) => e.half === half).reduce((max, e) => Math.max(max, e.t_half_seconds), 0);
+    const started_at = date.getTime() + offsets[half] * 1000;
+    return { half, started_at, ended_at: started_at + Math.max(0, length) * 1000, pauses: [] };
+  });
+
+  const { team_id, name, short, color, players = [] } = team;
+  const game = {
+    game_id,
+    date:        date.toISOString(),
+    opponent:    first.opponent || 'Unknown',
+    logger_name: names[0] || 'Logger 1',
+    team:        { team_id, name, short, color, players },
+    format,
+    periods,
+    ...Object.fromEntries(GAME_DETAIL_FIELDS.map((f) => [f.key, first[f.key] || ''])),
+  };
+  if (names.length > 1) game.contributors = names;
+  if (kicks.length) game.shootout = { first: isOurEvent(kicks[0].event_code) ? 'PFC' : 'OPP' };
 
-  downloadFile(csv, buildFilename('csv'), 'text/csv;charset=utf-8;');
+  return { game, events, kicks, errors };
 }
 
-function exportText() {
-  const events = getFilteredEvents();
-  if (!events.length) { showToast('No events to export'); return; }
+function showCSVImport(parsed) {
+  const { game, events, kicks, errors } = parsed;
+  if (!events.length && !kicks.length) {
+    showToast(errors.length ? `No usable rows — ${errors[0]}` : 'No events in that file');
+    return;
+  }
 
-  const date = new Date(currentGame.date).toLocaleDateString();
-  const lines = [
-    'GameMoments Export',
-    `Date:     ${date}`,
-    `Opponent: ${currentGame.opponent}`,
-    `Logger:   ${currentGame.logger_name}`,
-    '',
-    ...events.map(eventToDisplayLine),
-  ];
+  const date = new Date(game.date).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+  const body = openSheet(`IMPORT — vs ${game.opponent.toUpperCase()}`, `
+    <div class="import-summary">
+      <div>${esc(date)} · ${esc(game.team.name)} · ${esc(formatSummary(game.format))}</div>
+      <div><b>${events.length}</b> event${events.length !== 1 ? 's' : ''}${kicks.length ? ` and <b>${kicks.length}</b> penalt${kicks.length !== 1 ? 'ies' : 'y'}` : ''} will be imported.</div>
+      ${errors.map((err) => `<div>✕ ${esc(err)}</div>`).join('')}
+    </div>
+    <div class="sheet-actions">
+      <button id="import-cancel" class="btn-ghost">CANCEL</button>
+      <button id="import-apply"  class="btn-secondary">IMPORT</button>
+    </div>`);
+
+  body.querySelector('#import-cancel').addEventListener('click', closeSheet);
+  body.querySelector('#import-apply').addEventListener('click', async () => {
+    game.summary = gameRecordSummary(game, [...events, ...kicks]);
+    await dbImport({ [STORE_GAMES]: [game], [STORE_EVENTS]: [...events, ...kicks] });
+    closeSheet();
+    await loadSavedGame(game.game_id);
+    showToast(`Imported ${events.length + kicks.length} event${events.length + kicks.length !== 1 ? 's' : ''}`);
+  });
+}
 
-  downloadFile(lines.join('\n'), buildFilename('txt'), 'text/plain;charset=utf-8;');
+
+/* ─────────────────────────────────────────────
+   MERGE ANOTHER LOGGER'S LOG
+   Several parents often log the same match. Their log (CSV or JSON game
+   file) is aligned to ours on each half's first kickoff, then every
+   incoming event either matches one of ours — same code and half, within
+   MERGE_DUPLICATE_SECONDS — and becomes a conflict to reconcile, or is
+   simply added. Every event records who logged it in `loggers`.
+───────────────────────────────────────────── */
+
+const MERGE_DUPLICATE_SECONDS = 5;
+
+/** Who logged an event; events predating merges belong to the game's logger */
+function eventLoggers(e, game = currentGame) {
+  return e.loggers || [game.logger_name];
 }
 
-function buildFilename(ext) {
-  const date = new Date(currentGame.date).toISOString().slice(0, 10);
-  const opp  = currentGame.opponent.replace(/[^a-z0-9]/gi, '_').slice(0, 20);
-  return `GameMoments_${date}_${opp}.${ext}`;
+/** Everyone who contributed to a game */
+function gameLoggers(game = currentGame) {
+  return game.contributors || [game.logger_name];
 }
 
-function downloadFile(content, filename, mimeType) {
-  const blob = new Blob([content], { type: mimeType });
-  const url  = URL.createObjectURL(blob);
-  const a    = document.createElement('a');
-  a.href     = url;
-  a.download = filename;
-  a.style.display = 'none';
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  setTimeout(() => URL.revokeObjectURL(url), 1000);
+function pickMergeFile() {
+  if (gameActive) { showToast('End the game before merging'); return; }
+  document.getElementById('input-merge').click();
+}
+
+async function onMergeFilePicked(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+
+  let log;
+  try {
+    log = await readGameLogFile(file);
+  } catch (err) {
+    showToast(err.message);
+    return;
+  }
+  if (!log.events.length) { showToast('No usable events in that file'); return; }
+
+  showMergeReconciliation(log, planLogMerge(currentEvents, log.events));
+}
+
+/** First kickoff per half → seconds to add to the incoming log, per half */
+function kickoffShifts(base, incoming) {
+  const firstKO = (events, half) => events
+    .filter((e) => e.half === half && eventFamily(e.event_code) === 'KO')
+    .reduce((min, e) => Math.min(min, e.t_half_seconds), Infinity);
+
+  const shifts = {};
+  new Set(incoming.map((e) => e.half)).forEach((half) => {
+    const ours = firstKO(base, half), theirs = firstKO(incoming, half);
+    shifts[half] = Number.isFinite(ours) && Number.isFinite(theirs) ? ours - theirs : null;
+  });
+  return shifts;
+}
+
+/**
+ * Align and pair the incoming events with ours. Returns
+ * { shifts, conflicts: [{ base, incoming, decision }], additions, identical }.
+ * Each of our events is matched at most once, to its nearest candidate.
+ */
+function planLogMerge(base, incomingRaw) {
+  const haveIds  = new Set(base.map((e) => e.event_id));
+  const fresh    = incomingRaw.filter((e) => !e.event_id || !haveIds.has(e.event_id));
+  const shifts   = kickoffShifts(base, fresh);
+  const incoming = sortEvents(fresh.map((e) => ({
+    ...e,
+    t_half_seconds: Math.max(0, e.t_half_seconds + (shifts[e.half] || 0)),
+  })));
+
+  const matched = new Set();
+  const conflicts = [], additions = [];
+  incoming.forEach((inc) => {
+    let best = null;
+    base.forEach((e) => {
+      if (matched.has(e.event_id) || e.event_code !== inc.event_code || e.half !== inc.half) return;
+      const gap = Math.abs(e.t_half_seconds - inc.t_half_seconds);
+      if (gap <= MERGE_DUPLICATE_SECONDS && (!best || gap < best.gap)) best = { e, gap };
+    });
+    if (best) {
+      matched.add(best.e.event_id);
+      conflicts.push({ base: best.e, incoming: inc, decision: 'merge' });
+    } else {
+      additions.push(inc);
+    }
+  });
+
+  return { shifts, conflicts, additions, identical: incomingRaw.length - fresh.length };
+}
+
+function showMergeReconciliation(log, plan) {
+  const shiftText = Object.entries(plan.shifts).map(([half, s]) =>
+    s === null
+      ? `${periodShort(Number(half))} not shifted (no kickoff in both logs)`
+      : `${periodShort(Number(half))} ${s >= 0 ? '+' : '−'}${Math.abs(s)}s`
+  ).join(' · ');
+
+  const decisions = [['keep', 'KEEP BOTH'], ['drop', 'DROP'], ['merge', 'MERGE']];
+  const body = openSheet(`MERGE — ${log.loggers.join(' + ').toUpperCase()}`, `
+    <div class="import-summary">
+      <div>Aligned on kickoff: ${esc(shiftText)}</div>
+      <div><b>${plan.additions.length}</b> new event${plan.additions.length !== 1 ? 's' : ''} will be added.</div>
+      ${plan.identical ? `<div>${plan.identical} already in this game — skipped.</div>` : ''}
+      ${log.errors.map((err) => `<div>✕ ${esc(err)}</div>`).join('')}
+      ${plan.conflicts.length ? `<div class="field-label">PROBABLE DUPLICATES (${plan.conflicts.length})</div>` : ''}
+    </div>
+    <div class="merge-conflicts">
+      ${plan.conflicts.map((c, i) => `
+        <div class="merge-conflict ${EVENT_CLASS(c.base.event_code)}">
+          <div class="mc-label">${periodShort(c.base.half)} ${esc(eventDisplay(c.base.event_code))}</div>
+          <div class="mc-times">ours ${formatTime(c.base.t_half_seconds)} · theirs ${formatTime(c.incoming.t_half_seconds)}</div>
+          <div class="mc-choices" data-index="${i}">
+            ${decisions.map(([value, label]) => `
+              <button class="btn-icon${c.decision === value ? ' on' : ''}" data-decision="${value}">${label}</button>`).join('')}
+          </div>
+        </div>`).join('')}
+    </div>
+    <div class="sheet-actions">
+      <button id="merge-cancel" class="btn-ghost">CANCEL</button>
+      <button id="merge-apply"  class="btn-secondary">APPLY MERGE</button>
+    </div>`);
+
+  body.querySelectorAll('.mc-choices').forEach((group) => {
+    group.querySelectorAll('[data-decision]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        plan.conflicts[Number(group.dataset.index)].decision = btn.dataset.decision;
+        group.querySelectorAll('[data-decision]').forEach((b) => b.classList.toggle('on', b === btn));
+      });
+    });
+  });
+  body.querySelector('#merge-cancel').addEventListener('click', closeSheet);
+  body.querySelector('#merge-apply').addEventListener('click', () => applyLogMerge(log, plan));
+}
+
+async function applyLogMerge(log, plan) {
+  const toPut = [];
+  const newEvent = (inc) => setAnnotation({
+    event_id:       `ev_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+    game_id:        currentGame.game_id,
+    half:           inc.half,
+    t_half_seconds: inc.t_half_seconds,
+    event_code:     inc.event_code,
+    player_id:      findPlayer(inc.player_id) ? inc.player_id : null,
+    loggers:        inc.loggers.length ? inc.loggers : log.loggers,
+    created_at:     new Date().toISOString(),
+  }, inc.note, inc.highlight);
+
+  plan.additions.forEach((inc) => toPut.push(newEvent(inc)));
+  plan.conflicts.forEach((c) => {
+    if (c.decision === 'keep') {
+      toPut.push(newEvent(c.incoming));
+    } else if (c.decision === 'merge') {
+      // One event, both loggers credited; ours keeps its time
+      c.base.loggers = [...new Set([...eventLoggers(c.base), ...(c.incoming.loggers.length ? c.incoming.loggers : log.loggers)])];
+      if (!c.base.player_id && findPlayer(c.incoming.player_id)) c.base.player_id = c.incoming.player_id;
+      toPut.push(c.base);
+    }
+  });
+
+  currentGame.contributors = [...new Set([...gameLoggers(), ...log.loggers])];
+  const added = toPut.filter((e) => !currentEvents.includes(e));
+  currentEvents.push(...added);
+  sortEvents(currentEvents);
+  currentGame.summary = gameRecordSummary(currentGame, [...currentEvents, ...shootoutKicks]);
+
+  await dbImport({ [STORE_EVENTS]: toPut, [STORE_GAMES]: [currentGame] });
+
+  closeSheet();
+  openReviewScreen();
+  showToast(`Merged: ${added.length} event${added.length !== 1 ? 's' : ''} added`);
 }
 
 
 /* ─────────────────────────────────────────────
    SAVED GAMES LIST
+   Each game record carries game.summary — event count, score, pens,
+   per-family tallies and when it last changed — rewritten with every
+   change to its events, so the list reads game records only, and only
+   a page of them at a time: GAMES_PAGE_SIZE games along the by_date
+   index, the next page loading as the list scrolls to its end. The date
+   filters bound the index range; the others are checked on the way. The
+   filter options come from the indexes' distinct keys.
 ───────────────────────────────────────────── */
 
+const GAMES_PAGE_SIZE = 20;
+
+/**
+ * The figures kept on a game record, by family from the stored codes
+ * alone. gameSummary() works the set-piece split out of its counts,
+ * since that depends on the event type settings.
+ */
+function gameRecordSummary(game, events, modifiedAt = new Date().toISOString()) {
+  const match = events.filter((e) => !isShootoutEvent(e));
+  const kicks = events.filter(isShootoutEvent);
+  const [goalsFor, goalsAgainst] = matchScore(match);
+
+  const counts = {};
+  match.forEach((e) => {
+    const family = eventFamily(e.event_code);
+    counts[family] = counts[family] || { PFC: 0, OPP: 0 };
+    counts[family][isOurEvent(e.event_code) ? 'PFC' : 'OPP']++;
+  });
+  const pens = kicks.length ? shootoutState(kicks, game.shootout ? game.shootout.first : 'PFC').scored : null;
+
+  return {
+    events:        match.length,
+    goals_for:     goalsFor,
+    goals_against: goalsAgainst,
+    pens_for:      pens ? pens.PFC : null,
+    pens_against:  pens ? pens.OPP : null,
+    counts,
+    modified_at:   modifiedAt,
+  };
+}
+
+/** A game given the summary it lacks, dated by its last logged event */
+function withSummary(game, events) {
+  const last = events.reduce((latest, e) => (e.created_at > latest ? e.created_at : latest), game.date);
+  return { ...game, summary: gameRecordSummary(game, events, last) };
+}
+
+/** { game_id: [events] } */
+function eventsByGame(events) {
+  const byGame = {};
+  events.forEach((e) => { (byGame[e.game_id] = byGame[e.game_id] || []).push(e); });
+  return byGame;
+}
+
+/**
+ * Save changes to the open game's events — records to put, events to
+ * remove — with its recomputed summary, in one transaction, so the list
+ * can't be left showing a count or score its events don't match.
+ */
+function saveGameEvents(put = [], removed = []) {
+  currentGame.summary = gameRecordSummary(currentGame, [...currentEvents, ...shootoutKicks]);
+  return dbWrite(
+    { [STORE_EVENTS]: put, [STORE_GAMES]: [currentGame] },
+    { [STORE_EVENTS]: removed.map((e) => e.event_id) },
+  );
+}
+
+/** Rewrite a stored game's summary from its stored events */
+async function refreshGameSummary(gameId) {
+  const [game, events] = await Promise.all([dbGet(STORE_GAMES, gameId), dbGetEventsByGame(gameId)]);
+  if (!game) return;
+  await dbPut(STORE_GAMES, { ...game, summary: gameRecordSummary(game, events) });
+}
+
 async function viewSavedGames() {
-  let games = await dbGetAll(STORE_GAMES);
+  const [opponents, competitions, venues] = await Promise.all([
+    dbIndexKeys(STORE_GAMES, 'by_opponent'),
+    dbIndexKeys(STORE_GAMES, 'by_competition'),
+    dbIndexKeys(STORE_GAMES, 'by_venue'),
+  ]);
+  fillGamesFilter('games-opponent',    opponents,    'All Opponents');
+  fillGamesFilter('games-competition', competitions, 'All Competitions');
+  fillGamesFilter('games-venue',       venues,       'All Venues');
+
+  await renderSavedGames();
+  showScreen('games');
+}
 
-  // Sort newest first
-  games.sort((a, b) => new Date(b.date) - new Date(a.date));
+/** Rebuild a filter select from the distinct values, keeping the pick if still there */
+function fillGamesFilter(id, values, allLabel) {
+  const distinct = [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+  const select   = document.getElementById(id);
+  const picked   = select.value;
+  select.innerHTML = `<option value="all">${allLabel}</option>` +
+    distinct.map((v) => `<option value="${esc(v)}">${esc(v)}</option>`).join('');
+  select.value = distinct.includes(picked) ? picked : 'all';
+}
+
+/**
+ * The list's filters as a page query: the date inputs (local days) as
+ * ISO bounds on game.date, the rest as a test on each game.
+ */
+function savedGamesFilter() {
+  const query  = document.getElementById('games-search').value.trim().toLowerCase();
+  const opp    = document.getElementById('games-opponent').value;
+  const comp   = document.getElementById('games-competition').value;
+  const venue  = document.getElementById('games-venue').value;
+  const side   = document.getElementById('games-home-away').value;
+  const status = document.getElementById('games-status').value;
+  const from   = document.getElementById('games-from').value;
+  const to     = document.getElementById('games-to').value;
+
+  const dayAfter = (day) => {
+    const d = new Date(`${day}T00:00`);
+    d.setDate(d.getDate() + 1);
+    return d;
+  };
+  return {
+    from: from ? new Date(`${from}T00:00`).toISOString() : null,
+    to:   to   ? dayAfter(to).toISOString() : null,
+    keep: (game) => {
+      if (status !== 'all' && !!game.archived !== (status === 'archived')) return false;
+      if (opp   !== 'all' && game.opponent    !== opp)   return false;
+      if (comp  !== 'all' && game.competition !== comp)  return false;
+      if (venue !== 'all' && game.venue       !== venue) return false;
+      if (side  !== 'all' && game.home_away   !== side)  return false;
+      if (query && ![game.opponent, game.logger_name, gameTeam(game).name, localDateValue(game.date),
+        ...GAME_DETAIL_FIELDS.map((f) => game[f.key] || '')]
+        .some((text) => String(text).toLowerCase().includes(query))) return false;
+      return true;
+    },
+  };
+}
 
+/** Start the list over from its first page, e.g. when a filter changes */
+async function renderSavedGames() {
   const listEl = document.getElementById('games-list');
+  if (savedGamesWatcher) savedGamesWatcher.disconnect();
+  savedGamesWatcher = null;
+  savedGames        = [];
+  savedGamesQuery   = { ...savedGamesFilter(), after: null };
+  listEl.innerHTML  = '';
+
+  const query = savedGamesQuery;
+  await appendSavedGamesPage();
+  if (query !== savedGamesQuery || savedGames.length) return;
+
+  const empty = (await dbCount(STORE_GAMES)) === 0;
+  if (query !== savedGamesQuery) return;
+  listEl.innerHTML = `<div class="no-events" style="padding:32px">${empty ? 'No saved games yet' : 'No games match'}</div>`;
+}
 
-  if (!games.length) {
-    listEl.innerHTML = '<div class="no-events" style="padding:32px">No saved games yet</div>';
-    showScreen('games');
-    return;
+/** Load the next page of the current query, and a MORE row for the one after */
+async function appendSavedGamesPage() {
+  const query = savedGamesQuery;
+  const { games, more } = await dbGetGamesPage({ ...query, limit: GAMES_PAGE_SIZE });
+  // The filters changed while this page was read: a newer query owns the list
+  if (query !== savedGamesQuery) return;
+
+  const listEl = document.getElementById('games-list');
+  savedGames.push(...games);
+  if (games.length) {
+    const last = games[games.length - 1];
+    query.after = { date: last.date, game_id: last.game_id };
   }
 
-  // For each game, fetch event count asynchronously
-  const eventCounts = await Promise.all(
-    games.map((g) => dbGetEventsByGame(g.game_id).then((evs) => evs.length))
-  );
+  const page = document.createElement('div');
+  page.innerHTML = games.map(savedGameRow).join('');
 
-  listEl.innerHTML = games.map((g, i) => {
-    const date  = new Date(g.date).toLocaleDateString(undefined, {
-      day: 'numeric', month: 'short', year: 'numeric'
+  // Tap a game → load it into review screen; ⋯ → edit / archive / delete
+  page.querySelectorAll('.game-item').forEach((item) => {
+    item.addEventListener('click', () => loadSavedGame(item.dataset.id));
+  });
+  page.querySelectorAll('.gi-menu').forEach((btn) => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openGameActions(btn.dataset.id);
     });
-    return `
-      <div class="game-item" data-id="${esc(g.game_id)}">
-        <div class="gi-main">
-          <span class="gi-opp">vs ${esc(g.opponent)}</span>
-          <span class="gi-date">${esc(date)}</span>
-        </div>
-        <div class="gi-sub">${esc(g.logger_name)}</div>
-        <div class="gi-count">${eventCounts[i]} event${eventCounts[i] !== 1 ? 's' : ''} logged</div>
-      </div>`;
-  }).join('');
+  });
+  listEl.append(...page.children);
+  if (!more) return;
+
+  const moreBtn = document.createElement('button');
+  moreBtn.className   = 'btn-ghost gi-more';
+  moreBtn.textContent = 'MORE GAMES';
+  const load = () => {
+    if (savedGamesWatcher) savedGamesWatcher.disconnect();
+    savedGamesWatcher = null;
+    moreBtn.remove();
+    appendSavedGamesPage();
+  };
+  moreBtn.addEventListener('click', load);
+  listEl.append(moreBtn);
 
-  // Tap a game → load it into review screen
-  listEl.querySelectorAll('.game-item').forEach((item) => {
-    item.addEventListener('click', () => loadSavedGame(item.dataset.id));
+  // Scrolling the button into view loads the page without a tap
+  if ('IntersectionObserver' in window) {
+    savedGamesWatcher = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) load();
+    });
+    savedGamesWatcher.observe(moreBtn);
+  }
+}
+
+function savedGameRow(g) {
+  const date = new Date(g.date).toLocaleDateString(undefined, {
+    day: 'numeric', month: 'short', year: 'numeric'
   });
+  const s    = g.summary;
+  const pens = s && s.pens_for !== null ? ` (${s.pens_for}–${s.pens_against} pens)` : '';
+  return `
+    <div class="game-item${g.archived ? ' gi-archived' : ''}" data-id="${esc(g.game_id)}">
+      <div class="gi-main">
+        <span class="gi-opp">vs ${esc(g.opponent)}</span>
+        <span class="gi-date">${esc(date)}</span>
+        <button class="btn-icon gi-menu" data-id="${esc(g.game_id)}" aria-label="Game actions">⋯</button>
+      </div>
+      <div class="gi-sub">${esc([g.logger_name, g.competition, g.venue].filter(Boolean).join(' · '))}${g.archived ? ' · ARCHIVED' : ''}</div>
+      ${s ? `<div class="gi-count">
+        <span class="gi-score">${esc(gameTeam(g).short)} ${s.goals_for}–${s.goals_against}${pens}</span>
+        · ${s.events} event${s.events !== 1 ? 's' : ''} logged
+      </div>` : ''}
+    </div>`;
+}
 
-  showScreen('games');
+/** YYYY-MM-DD of a timestamp in local time (the value of an <input type=date>) */
+function localDateValue(date) {
+  const d = new Date(date);
+  return [d.getFullYear(), String(d.getMonth() + 1).padStart(2, '0'), String(d.getDate()).padStart(2, '0')].join('-');
+}
+
+function openGameActions(gameId) {
+  const g = savedGames.find((game) => game.game_id === gameId);
+  if (!g) return;
+
+  const body = openSheet(`vs ${g.opponent.toUpperCase()}`, `
+    <div class="field-group">
+      <label class="field-label" for="edit-game-opponent">OPPONENT</label>
+      <input class="field-input" type="text" id="edit-game-opponent" value="${esc(g.opponent)}"
+             autocomplete="off" autocapitalize="words">
+    </div>
+    <div class="field-group">
+      <label class="field-label" for="edit-game-date">DATE</label>
+      <input class="field-input" type="date" id="edit-game-date" value="${localDateValue(g.date)}">
+    </div>
+    <div class="field-group">
+      <label class="field-label" for="edit-game-logger">LOGGER</label>
+      <input class="field-input" type="text" id="edit-game-logger" value="${esc(g.logger_name)}"
+             autocomplete="off" autocapitalize="words">
+    </div>
+    <div class="format-grid">${gameDetailInputs('edit-game', g)}</div>
+    <div class="sheet-actions">
+      <button id="game-delete"  class="btn-secondary btn-danger">DELETE</button>
+      <button id="game-archive" class="btn-ghost">${g.archived ? 'UNARCHIVE' : 'ARCHIVE'}</button>
+      <button id="game-save"    class="btn-secondary">SAVE</button>
+    </div>`);
+
+  body.querySelector('#game-save').addEventListener('click', () => saveGameDetails(g, body));
+  body.querySelector('#game-archive').addEventListener('click', () => toggleArchiveGame(g));
+  body.querySelector('#game-delete').addEventListener('click', () => deleteSavedGame(g));
+}
+
+async function saveGameDetails(game, body) {
+  const opponent = body.querySelector('#edit-game-opponent').value.trim();
+  const logger   = body.querySelector('#edit-game-logger').value.trim();
+  const day      = body.querySelector('#edit-game-date').value;
+  if (!opponent || !logger || !day) { showToast('Fill in every field'); return; }
+
+  // A new date keeps the original kickoff time of day
+  const date = new Date(game.date);
+  const [y, m, d] = day.split('-').map(Number);
+  date.setFullYear(y, m - 1, d);
+
+  const oldLogger = game.logger_name;
+  const updated   = {
+    ...game, opponent, logger_name: logger, date: date.toISOString(),
+    ...readGameDetails(body, 'edit-game'),
+  };
+  const records   = { [STORE_GAMES]: [updated] };
+
+  // A renamed logger is renamed wherever merges credited them too
+  if (logger !== oldLogger) {
+    if (updated.contributors) {
+      updated.contributors = updated.contributors.map((name) => (name === oldLogger ? logger : name));
+    }
+    const events = await dbGetEventsByGame(game.game_id);
+    records[STORE_EVENTS] = events
+      .filter((e) => e.loggers && e.loggers.includes(oldLogger))
+      .map((e) => ({ ...e, loggers: e.loggers.map((name) => (name === oldLogger ? logger : name)) }));
+  }
+  await dbImport(records);
+
+  if (currentGame && currentGame.game_id === game.game_id) {
+    currentGame = updated;
+    setGameEvents(await dbGetEventsByGame(game.game_id));
+  }
+  closeSheet();
+  await viewSavedGames();
+  showToast('Game updated');
+}
+
+async function toggleArchiveGame(game) {
+  const updated = { ...game, archived: !game.archived };
+  await dbPut(STORE_GAMES, updated);
+  if (currentGame && currentGame.game_id === game.game_id) currentGame = updated;
+  closeSheet();
+  await viewSavedGames();
+  showToast(updated.archived ? 'Game archived' : 'Game restored');
+}
+
+/**
+ * Delete a game and its events straight away, but keep copies for the
+ * toast's UNDO button, which puts both back for UNDO_WINDOW_MS.
+ */
+async function deleteSavedGame(game) {
+  if (gameActive && currentGame && currentGame.game_id === game.game_id) {
+    showToast('End the game before deleting it');
+    return;
+  }
+  if (!confirm(`Delete the game vs ${game.opponent} and all its events?`)) return;
+
+  const events  = await dbGetEventsByGame(game.game_id);
+  const entries = await dbGetByGame(STORE_JOURNAL, game.game_id);
+  await dbDeleteGame(game.game_id);
+  if (currentGame && currentGame.game_id === game.game_id) {
+    currentGame   = null;
+    currentEvents = [];
+    shootoutKicks = [];
+  }
+
+  closeSheet();
+  await viewSavedGames();
+  showToast('Game deleted', {
+    label: 'UNDO',
+    run: async () => {
+      await dbImport({ [STORE_GAMES]: [game], [STORE_EVENTS]: events, [STORE_JOURNAL]: entries });
+      await viewSavedGames();
+      showToast('Game restored');
+    },
+  });
 }
 
 async function loadSavedGame(gameId) {
-  const games = await dbGetAll(STORE_GAMES);
-  currentGame = games.find((g) => g.game_id === gameId);
+  currentGame = await dbGet(STORE_GAMES, gameId);
   if (!currentGame) return;
 
-  currentEvents = await dbGetEventsByGame(gameId);
-  // Sort chronologically: H1 before H2, then by time within half
-  currentEvents.sort((a, b) => {
-    if (a.half !== b.half) return a.half - b.half;
-    return a.t_half_seconds - b.t_half_seconds;
-  });
+  setGameEvents(await dbGetEventsByGame(gameId));
 
   // Loading a saved game doesn't start a live session
   gameActive = false;
@@ -838,6 +5090,227 @@ async function loadSavedGame(gameId) {
 }
 
 
+/* ─────────────────────────────────────────────
+   SEASON ANALYTICS
+   Every saved game boiled down by gameSummary() from the summary on its
+   record — result, goals, pens, per-family counts — then combined: W/D/L
+   record, goals, set pieces game by game and head-to-head per opponent.
+   No events are read. The date and opponent filters apply to all of it,
+   and to the one-row-per-game CSV.
+───────────────────────────────────────────── */
+
+/**
+ * One game's figures from its record's summary. counts is { family:
+ * { PFC, OPP } }; the set pieces are the families the event types mark
+ * as such. A level game settled on penalties is still a draw, with
+ * pens_* set.
+ */
+function gameSummary(game) {
+  const { goals_for: goalsFor, goals_against: goalsAgainst, pens_for, pens_against, counts } = game.summary;
+  const setPieces = { PFC: 0, OPP: 0 };
+  Object.entries(counts).forEach(([family, c]) => {
+    const type = eventType(family);
+    if (!type || !type.setPiece) return;
+    setPieces.PFC += c.PFC;
+    setPieces.OPP += c.OPP;
+  });
+
+  return {
+    game_id:       game.game_id,
+    date:          game.date,
+    opponent:      game.opponent,
+    team:          gameTeam(game).short,
+    logger:        game.logger_name,
+    goals_for:     goalsFor,
+    goals_against: goalsAgainst,
+    result:        goalsFor > goalsAgainst ? 'W' : goalsFor < goalsAgainst ? 'L' : 'D',
+    pens_for,
+    pens_against,
+    counts,
+    set_pieces:    setPieces,
+  };
+}
+
+async function viewSeason() {
+  const games = await dbGetAll(STORE_GAMES);
+  seasonGames = games
+    .map(gameSummary)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const opponents = [...new Set(seasonGames.map((g) => g.opponent))].sort((a, b) => a.localeCompare(b));
+  document.getElementById('season-opponent').innerHTML =
+    '<option value="all">All Opponents</option>' +
+    opponents.map((o) => `<option value="${esc(o)}">${esc(o)}</option>`).join('');
+
+  renderSeason();
+  showScreen('season');
+}
+
+/** Season games passing the date range and opponent filters */
+function filteredSeasonGames() {
+  const from = document.getElementById('season-from').value;
+  const to   = document.getElementById('season-to').value;
+  const opp  = document.getElementById('season-opponent').value;
+
+  return seasonGames.filter((g) => {
+    const day = localDateValue(g.date);
+    if (from && day < from) return false;
+    if (to   && day > to)   return false;
+    if (opp !== 'all' && g.opponent !== opp) return false;
+    return true;
+  });
+}
+
+/** { played, W, D, L, gf, ga } over a list of summaries */
+function seasonRecord(games) {
+  const rec = { played: games.length, W: 0, D: 0, L: 0, gf: 0, ga: 0 };
+  games.forEach((g) => {
+    rec[g.result]++;
+    rec.gf += g.goals_for;
+    rec.ga += g.goals_against;
+  });
+  return rec;
+}
+
+function renderSeason() {
+  const body  = document.getElementById('season-body');
+  const games = filteredSeasonGames();
+  if (!games.length) {
+    body.innerHTML = '<div class="no-events">No games match these filters</div>';
+    return;
+  }
+
+  const rec = seasonRecord(games);
+  const gd  = rec.gf - rec.ga;
+  const shootouts = games.filter((g) => g.pens_for !== null);
+  const pensWon   = shootouts.filter((g) => g.pens_for > g.pens_against).length;
+
+  body.innerHTML = `
+    <div class="settings-heading">RECORD</div>
+    <div class="season-record">
+      <span class="sr-w">W ${rec.W}</span>
+      <span class="sr-d">D ${rec.D}</span>
+      <span class="sr-l">L ${rec.L}</span>
+    </div>
+    <div class="adjust-hint">${rec.played} game${rec.played !== 1 ? 's' : ''} ·
+      goals ${rec.gf} for, ${rec.ga} against (${gd >= 0 ? '+' : '−'}${Math.abs(gd)})
+      ${shootouts.length ? ` · penalties won ${pensWon} of ${shootouts.length}` : ''}</div>
+
+    ${seasonSetPieceChart(games)}
+    ${seasonHeadToHead(games)}
+
+    <div class="settings-heading">GAMES</div>
+    <table class="stats-table">
+      <tr><th></th><th></th><th>SCORE</th><th>SET PIECES</th></tr>
+      ${games.slice().reverse().map((g) => `
+        <tr>
+          <td>${esc(new Date(g.date).toLocaleDateString(undefined, { day: 'numeric', month: 'short' }))}
+              vs ${esc(g.opponent)}</td>
+          <td class="season-result sr-${g.result.toLowerCase()}">${g.result}</td>
+          <td>${g.goals_for}–${g.goals_against}${g.pens_for !== null ? ` (${g.pens_for}–${g.pens_against}p)` : ''}</td>
+          <td>${g.set_pieces.PFC}:${g.set_pieces.OPP}</td>
+        </tr>`).join('')}
+    </table>`;
+}
+
+/** Set pieces won per game, oldest first: ours up, theirs down */
+function seasonSetPieceChart(games) {
+  if (!games.some((g) => g.set_pieces.PFC || g.set_pieces.OPP)) return '';
+
+  const W = 300, H = 100, mid = H / 2;
+  const peak = Math.max(1, ...games.map((g) => Math.max(g.set_pieces.PFC, g.set_pieces.OPP)));
+  const slot = W / games.length;
+  const barW = Math.max(2, Math.min(24, slot * 0.6));
+
+  const bars = games.map((g, i) => {
+    const x  = (i + 0.5) * slot - barW / 2;
+    const up = (g.set_pieces.PFC / peak) * (mid - 4);
+    const dn = (g.set_pieces.OPP / peak) * (mid - 4);
+    return `
+      <g>
+        <title>${esc(g.opponent)}: ${g.set_pieces.PFC}:${g.set_pieces.OPP}</title>
+        <rect class="svg-pfc" x="${x.toFixed(1)}" y="${(mid - up).toFixed(1)}" width="${barW.toFixed(1)}" height="${up.toFixed(1)}"/>
+        <rect class="svg-opp" x="${x.toFixed(1)}" y="${mid}" width="${barW.toFixed(1)}" height="${dn.toFixed(1)}"/>
+      </g>`;
+  }).join('');
+
+  return `
+    <div class="settings-heading">SET PIECES, GAME BY GAME</div>
+    <svg class="stats-pressure" viewBox="0 0 ${W} ${H}" role="img" aria-label="Set pieces per game">
+      <line class="svg-axis" x1="0" y1="${mid}" x2="${W}" y2="${mid}"/>
+      ${bars}
+    </svg>
+    <div class="stats-legend">
+      <span class="ev-pfc">▲ ours</span>
+      <span>peak ${peak}</span>
+      <span class="ev-opp">▼ theirs</span>
+    </div>`;
+}
+
+/** Per-opponent record, most played first */
+function seasonHeadToHead(games) {
+  const byOpp = {};
+  games.forEach((g) => { (byOpp[g.opponent] = byOpp[g.opponent] || []).push(g); });
+  const rows = Object.entries(byOpp)
+    .map(([opponent, list]) => ({ opponent, ...seasonRecord(list) }))
+    .sort((a, b) => b.played - a.played || a.opponent.localeCompare(b.opponent));
+
+  return `
+    <div class="settings-heading">HEAD TO HEAD</div>
+    <table class="stats-table">
+      <tr><th></th><th>P</th><th>W</th><th>D</th><th>L</th><th>GF</th><th>GA</th></tr>
+      ${rows.map((r) => `
+        <tr>
+          <td>${esc(r.opponent)}</td>
+          <td>${r.played}</td><td>${r.W}</td><td>${r.D}</td><td>${r.L}</td>
+          <td>${r.gf}</td><td>${r.ga}</td>
+        </tr>`).join('')}
+    </table>`;
+}
+
+/**
+ * One row per filtered game, two columns (for / against) per event family
+ * any of them logged — families whose type has since been removed
+ * included, after the current types in their order.
+ */
+function exportSeasonCSV() {
+  const games = filteredSeasonGames();
+  if (!games.length) { showToast('No games to export'); return; }
+
+  const logged   = new Set(games.flatMap((g) => Object.keys(g.counts)));
+  const known    = eventTypes.map((t) => t.code).filter((code) => logged.has(code));
+  const families = [...known, ...[...logged].filter((family) => !known.includes(family)).sort()];
+
+  const header = [
+    'date', 'opponent', 'team', 'logger', 'result',
+    'goals_for', 'goals_against', 'pens_for', 'pens_against',
+    ...families.flatMap((family) => {
+      const slug = eventExportFamily(family);
+      return [`${slug}_for`, `${slug}_against`];
+    }),
+  ];
+  const rows = games.map((g) => [
+    new Date(g.date).toISOString().slice(0, 10),
+    g.opponent,
+    g.team,
+    g.logger,
+    g.result,
+    g.goals_for,
+    g.goals_against,
+    g.pens_for ?? '',
+    g.pens_against ?? '',
+    ...families.flatMap((family) => {
+      const c = g.counts[family] || { PFC: 0, OPP: 0 };
+      return [c.PFC, c.OPP];
+    }),
+  ]);
+
+  const from = document.getElementById('season-from').value || 'start';
+  const to   = document.getElementById('season-to').value   || 'today';
+  downloadFile(toCSV([header, ...rows]), `GameMoments_season_${from}_${to}.csv`, 'text/csv;charset=utf-8;');
+}
+
+
 /* ─────────────────────────────────────────────
    WAKE LOCK  (keeps screen on during logging)
    Degrades gracefully — iOS Safari has limited support.
@@ -869,13 +5342,34 @@ function releaseWakeLock() {
 
 let toastTimeout = null;
 
-function showToast(message) {
+/** How long a toast with an action (e.g. UNDO) stays tappable */
+const UNDO_WINDOW_MS = 6000;
+
+/**
+ * Brief message at the bottom of the screen. With an action
+ * ({ label, run }) the toast carries a button and stays up for
+ * UNDO_WINDOW_MS; once it hides, the action is gone.
+ */
+function showToast(message, action = null) {
   const toast = document.getElementById('toast');
   toast.textContent = message;
+  toast.classList.toggle('has-action', !!action);
+
+  if (action) {
+    const btn = document.createElement('button');
+    btn.className   = 'toast-action';
+    btn.textContent = action.label;
+    btn.addEventListener('click', () => {
+      clearTimeout(toastTimeout);
+      toast.classList.remove('show', 'has-action');
+      action.run();
+    }, { once: true });
+    toast.appendChild(btn);
+  }
   toast.classList.add('show');
 
   if (toastTimeout) clearTimeout(toastTimeout);
-  toastTimeout = setTimeout(() => toast.classList.remove('show'), 1800);
+  toastTimeout = setTimeout(() => toast.classList.remove('show', 'has-action'), action ? UNDO_WINDOW_MS : 1800);
 }
 
 
@@ -932,6 +5426,14 @@ function generateAppleTouchIcon() {
    UTILITY
 ───────────────────────────────────────────── */
 
+/** Sort events chronologically in place: H1 before H2, then by time within half */
+function sortEvents(events) {
+  return events.sort((a, b) => {
+    if (a.half !== b.half) return a.half - b.half;
+    return a.t_half_seconds - b.t_half_seconds;
+  });
+}
+
 /** Simple HTML escaping to prevent XSS when inserting user data into innerHTML */
 function esc(str) {
   return String(str ?? '')
@@ -4,7 +4,7 @@
    Bump CACHE_NAME version string to force update on deploy.
    ============================================================ */
 
-const CACHE_NAME = 'gamemoments-v3';
+const CACHE_NAME = 'gamemoments-v4';
 
 const ASSETS = [
   './',